@@ -15,6 +15,9 @@ export class SoundManager {
         this.musicVolume = 0.5;
         this.muted = false;
 
+        // Looping sounds by name: { sources, gain }
+        this.loops = {};
+
         // Audio context for procedural sounds
         this.audioContext = null;
 
@@ -136,6 +139,95 @@ export class SoundManager {
         osc.stop(now + 0.2);
     }
 
+    /**
+     * Start or stop a looping sound. Safe to call every frame.
+     */
+    setLoop(soundName, playing) {
+        if (playing) {
+            this.startLoop(soundName);
+        } else {
+            this.stopLoop(soundName);
+        }
+    }
+
+    /**
+     * Start a looping sound if it is not already playing
+     */
+    startLoop(soundName) {
+        if (this.muted || !this.audioContext || this.loops[soundName]) return;
+
+        const volume = this.sfxVolume * this.masterVolume;
+
+        switch (soundName) {
+            case 'laser':
+                this.loops.laser = this.createLaserLoop(volume);
+                break;
+        }
+    }
+
+    /**
+     * Fade out and stop a looping sound
+     */
+    stopLoop(soundName) {
+        const loop = this.loops[soundName];
+        if (!loop) return;
+
+        const now = this.audioContext.currentTime;
+        loop.gain.gain.setTargetAtTime(0, now, 0.03);
+        loop.sources.forEach(source => source.stop(now + 0.15));
+
+        delete this.loops[soundName];
+    }
+
+    /**
+     * Stop every looping sound
+     */
+    stopAllLoops() {
+        Object.keys(this.loops).forEach(name => this.stopLoop(name));
+    }
+
+    /**
+     * Sustained beam hum
+     */
+    createLaserLoop(volume) {
+        const ctx = this.audioContext;
+        const now = ctx.currentTime;
+
+        // Buzzing base and a wobbling tone
+        const hum = ctx.createOscillator();
+        hum.type = 'sawtooth';
+        hum.frequency.value = 220;
+
+        const tone = ctx.createOscillator();
+        tone.type = 'sine';
+        tone.frequency.value = 440;
+
+        const wobble = ctx.createOscillator();
+        const wobbleDepth = ctx.createGain();
+        wobble.frequency.value = 8;
+        wobbleDepth.gain.value = 20;
+        wobble.connect(wobbleDepth);
+        wobbleDepth.connect(tone.frequency);
+
+        const filter = ctx.createBiquadFilter();
+        filter.type = 'lowpass';
+        filter.frequency.value = 1200;
+
+        const gain = ctx.createGain();
+        gain.gain.setValueAtTime(0, now);
+        gain.gain.linearRampToValueAtTime(volume * 0.12, now + 0.05);
+
+        hum.connect(filter);
+        tone.connect(filter);
+        filter.connect(gain);
+        gain.connect(ctx.destination);
+
+        const sources = [hum, tone, wobble];
+        sources.forEach(source => source.start(now));
+
+        return { sources, gain };
+    }
+
     /**
      * Explosion sound
      */
@@ -458,6 +550,7 @@ export class SoundManager {
 
         if (this.muted) {
             this.stopMusic();
+            this.stopAllLoops();
         } else {
             this.startMusic();
         }
@@ -0,0 +1,248 @@
+/**
+ * AETHELGARD: EVENT HORIZON
+ * Collisions Module
+ *
+ * Momentum-based collision response between the player ship, enemies,
+ * asteroids and asteroid debris. Overlapping bodies are pushed apart
+ * and bounced by an impulse along the contact normal, shared by mass.
+ * Damage scales with each body's change in velocity, so glancing
+ * scrapes are free and head-on hits hurt.
+ *
+ * Vanguards in their ram states add ram damage on contact; a kamikaze
+ * Vanguard is destroyed by its own hit. An enemy on the end of the
+ * harpoon's tether can be slung into other enemies, hurting both.
+ * After a damaging collision each body gets a short grace period
+ * before collisions can hurt it again.
+ */
+
+import * as THREE from 'three';
+
+// Vanguard states that count as ramming (see enemyAI.js)
+const RAM_STATES = ['ram', 'kamikaze'];
+
+export class Collisions {
+    constructor() {
+        this.shipRadius = 30;
+        this.restitution = 0.4;      // 0 = dead stop, 1 = perfect bounce
+
+        // Damage per unit of velocity change above the safe speed
+        this.safeSpeed = 60;
+        this.damagePerSpeed = 0.05;
+
+        // Asteroid and debris mass from radius (a 20-unit rock weighs as much as the ship)
+        this.rockDensity = 1 / 8000;
+
+        // Vanguard ramming
+        this.kamikazeMultiplier = 2;  // Ram damage scale in the kamikaze state
+        this.ramSelfDamage = 0.5;     // Share of impact damage a ramming Vanguard takes
+
+        this.slingMultiplier = 2;     // Impact damage scale for a tethered enemy hitting another
+
+        this.gracePeriod = 600;       // ms after a damaging hit
+        this.shipGrace = 0;
+
+        // Callbacks
+        this.onImpact = null;
+        this.onSling = null;
+
+        // Scratch objects
+        this.normal = new THREE.Vector3();
+        this.relative = new THREE.Vector3();
+    }
+
+    /**
+     * Resolve collisions for this frame
+     */
+    update(deltaTime, ship, enemies, asteroids) {
+        this.shipGrace = Math.max(0, this.shipGrace - deltaTime);
+        enemies.forEach(enemy => {
+            enemy.collisionGrace = Math.max(0, enemy.collisionGrace - deltaTime);
+        });
+
+        const shipBody = {
+            position: ship.position,
+            velocity: ship.velocity,
+            mass: ship.mass,
+            radius: this.shipRadius
+        };
+
+        // Ship vs asteroids and debris
+        for (const rock of asteroids.getOverlapping(ship.position, this.shipRadius)) {
+            const contact = this.resolve(shipBody, this.getRockBody(rock));
+            if (contact) {
+                this.damageShip(ship, this.getImpactDamage(contact.deltaA), contact.point, 'asteroid');
+            }
+        }
+
+        for (const enemy of enemies) {
+            const enemyBody = this.getEnemyBody(enemy);
+
+            // Ship vs enemy
+            const contact = this.resolve(shipBody, enemyBody);
+            if (contact) {
+                this.onShipEnemyContact(ship, enemy, contact);
+            }
+
+            // Enemy vs asteroids, split asteroids and debris
+            for (const rock of asteroids.getOverlapping(enemy.position, enemy.hitRadius)) {
+                const rockContact = this.resolve(enemyBody, this.getRockBody(rock));
+                if (rockContact) {
+                    this.damageEnemy(enemy, this.getImpactDamage(rockContact.deltaA));
+                }
+            }
+
+            // Tethered enemy slung into the others
+            if (enemy.tethered) {
+                this.slingEnemy(enemy, enemies);
+            }
+
+            enemy.mesh.position.copy(enemy.position);
+        }
+    }
+
+    /**
+     * Tethered enemy hits other enemies - both take heavy impact damage
+     */
+    slingEnemy(enemy, enemies) {
+        const slungBody = this.getEnemyBody(enemy);
+
+        for (const other of enemies) {
+            if (other === enemy) continue;
+
+            const contact = this.resolve(slungBody, this.getEnemyBody(other));
+            if (!contact) continue;
+
+            const slungDamage = this.getImpactDamage(contact.deltaA) * this.slingMultiplier;
+            const otherDamage = this.getImpactDamage(contact.deltaB) * this.slingMultiplier;
+            other.mesh.position.copy(other.position);
+
+            if (otherDamage > 0 && other.collisionGrace <= 0 && this.onSling) {
+                this.onSling(contact.point);
+            }
+
+            this.damageEnemy(enemy, slungDamage);
+            this.damageEnemy(other, otherDamage);
+        }
+    }
+
+    /**
+     * Ship hits an enemy - Vanguards on a ramming run hit harder
+     */
+    onShipEnemyContact(ship, enemy, contact) {
+        let shipDamage = this.getImpactDamage(contact.deltaA);
+        let enemyDamage = this.getImpactDamage(contact.deltaB);
+
+        const ramming = enemy.type === 'vanguard' && RAM_STATES.includes(enemy.state);
+        if (ramming) {
+            const kamikaze = enemy.state === 'kamikaze';
+            shipDamage += enemy.damage * (kamikaze ? this.kamikazeMultiplier : 1);
+            enemyDamage = kamikaze ? enemy.health : enemyDamage * this.ramSelfDamage;
+        }
+
+        this.damageShip(ship, shipDamage, contact.point, ramming ? 'ram' : 'enemy');
+        this.damageEnemy(enemy, enemyDamage);
+    }
+
+    /**
+     * Push two overlapping bodies apart and exchange momentum.
+     * Bodies: { position, velocity, mass, radius }. Returns null if
+     * they do not touch, else each body's velocity change and the
+     * contact point.
+     */
+    resolve(a, b) {
+        const normal = this.normal.copy(a.position).sub(b.position);
+        const distance = normal.length();
+        const overlap = a.radius + b.radius - distance;
+        if (overlap <= 0) return null;
+
+        if (distance > 0) {
+            normal.divideScalar(distance);
+        } else {
+            normal.set(0, 1, 0);
+        }
+
+        // Separate them - the heavier body moves less
+        const totalMass = a.mass + b.mass;
+        a.position.addScaledVector(normal, overlap * (b.mass / totalMass));
+        b.position.addScaledVector(normal, -overlap * (a.mass / totalMass));
+
+        const point = b.position.clone().addScaledVector(normal, b.radius);
+
+        // Already moving apart - no impulse
+        const closing = -this.relative.copy(a.velocity).sub(b.velocity).dot(normal);
+        if (closing <= 0) {
+            return { deltaA: 0, deltaB: 0, point };
+        }
+
+        const impulse = (1 + this.restitution) * closing / (1 / a.mass + 1 / b.mass);
+        a.velocity.addScaledVector(normal, impulse / a.mass);
+        b.velocity.addScaledVector(normal, -impulse / b.mass);
+
+        return { deltaA: impulse / a.mass, deltaB: impulse / b.mass, point };
+    }
+
+    /**
+     * Damage from a body's change in velocity
+     */
+    getImpactDamage(deltaVelocity) {
+        return Math.max(0, deltaVelocity - this.safeSpeed) * this.damagePerSpeed;
+    }
+
+    /**
+     * Hurt the ship unless it is in its grace period
+     */
+    damageShip(ship, damage, point, source) {
+        if (damage <= 0 || this.shipGrace > 0) return;
+
+        this.shipGrace = this.gracePeriod;
+        ship.takeDamage(damage, point);
+
+        if (this.onImpact) {
+            this.onImpact({ damage, point, source });
+        }
+    }
+
+    /**
+     * Hurt an enemy unless it is in its grace period
+     */
+    damageEnemy(enemy, damage) {
+        if (damage <= 0 || enemy.collisionGrace > 0) return;
+
+        enemy.collisionGrace = this.gracePeriod;
+        enemy.takeDamage(damage);
+    }
+
+    /**
+     * Collision body for an enemy ship
+     */
+    getEnemyBody(enemy) {
+        return {
+            position: enemy.position,
+            velocity: enemy.velocity,
+            mass: enemy.mass,
+            radius: enemy.hitRadius
+        };
+    }
+
+    /**
+     * Collision body for an asteroid or debris piece
+     */
+    getRockBody(rock) {
+        const radius = rock.userData.boundingRadius;
+        return {
+            position: rock.position,
+            velocity: rock.userData.velocity,
+            mass: radius * radius * radius * this.rockDensity,
+            radius
+        };
+    }
+
+    /**
+     * Clear grace periods
+     */
+    reset() {
+        this.shipGrace = 0;
+    }
+}
+
+export default Collisions;
@@ -37,6 +37,22 @@ export class Enemy {
         this.stateTimer = 0;
         this.lastAttack = 0;
 
+        // Targeting inputs (set each update)
+        this.player = null;
+        this.decoy = null;
+        this.playerCloaked = false;
+        this.lastKnownPosition = null; // Where the target was last seen
+        this.decoyChoice = null;       // { id, lured } - decided once per decoy
+
+        // EMP
+        this.disabledTimer = 0; // ms remaining
+
+        // Collisions
+        this.collisionGrace = 0; // ms before collisions can hurt again
+
+        // Harpoon - the tether drives its motion while set (see ship/tether.js)
+        this.tethered = false;
+
         // Visual
         this.mesh = null;
         this.hitRadius = 30;
@@ -58,6 +74,7 @@ export class Enemy {
                 attackRange: 100,
                 attackCooldown: 2000,
                 color: 0xff3300,
+                mass: 1.5,
                 aggressiveness: 0.9,
                 retreatThreshold: 0.1
             },
@@ -70,6 +87,7 @@ export class Enemy {
                 attackRange: 300,
                 attackCooldown: 1000,
                 color: 0x00ff88,
+                mass: 0.8,
                 aggressiveness: 0.6,
                 retreatThreshold: 0.3
             },
@@ -82,6 +100,7 @@ export class Enemy {
                 attackRange: 400,
                 attackCooldown: 800,
                 color: 0xffff00,
+                mass: 0.5,
                 aggressiveness: 0.3,
                 retreatThreshold: 0.5
             }
@@ -225,26 +244,72 @@ export class Enemy {
 
     /**
      * Update enemy AI and movement
+     *
+     * gadgets: { cloaked, decoy } - the player's active Shroud / Decoy
      */
-    update(deltaTime, player) {
+    update(deltaTime, player, gadgets = {}) {
         const dt = deltaTime * 0.001;
-        this.target = player;
-
-        // Update AI state
-        this.updateAI(dt);
+        this.player = player;
+        this.playerCloaked = !!gadgets.cloaked;
+        this.decoy = gadgets.decoy || null;
+
+        if (this.isDisabled()) {
+            // EMP: engines dead, drift to a stop
+            this.disabledTimer = Math.max(0, this.disabledTimer - deltaTime);
+            this.state = 'disabled';
+            this.velocity.multiplyScalar(Math.exp(-1.5 * dt));
+            this.position.add(this.velocity.clone().multiplyScalar(dt));
+            this.mesh.position.copy(this.position);
+        } else if (this.tethered) {
+            // Harpooned: helpless at the end of the rope
+            this.state = 'tethered';
+            this.position.addScaledVector(this.velocity, dt);
+            this.mesh.position.copy(this.position);
+        } else {
+            // Update AI state
+            this.updateAI(dt);
 
-        // Update movement
-        this.updateMovement(dt);
+            // Update movement
+            this.updateMovement(dt);
+        }
 
         // Update visuals
         this.updateVisuals(deltaTime);
     }
 
+    /**
+     * Pick what to fly at: the player, a decoy, or nothing if the
+     * player is cloaked and there is no decoy
+     */
+    selectTarget() {
+        const decoy = this.decoy;
+
+        // Each enemy decides once per decoy whether it takes the bait
+        if (decoy && (!this.decoyChoice || this.decoyChoice.id !== decoy.id)) {
+            this.decoyChoice = { id: decoy.id, lured: Math.random() < decoy.lureChance };
+        }
+
+        if (decoy && (this.playerCloaked || this.decoyChoice.lured)) {
+            return decoy;
+        }
+
+        return this.playerCloaked ? null : this.player;
+    }
+
     /**
      * AI State Machine
      */
     updateAI(dt) {
-        if (!this.target) return;
+        this.target = this.selectTarget();
+
+        if (!this.target) {
+            // Lost the target - search where it was last seen
+            this.state = 'search';
+            this.stateTimer += dt;
+            return;
+        }
+
+        this.lastKnownPosition = this.target.position.clone();
 
         const distanceToTarget = this.position.distanceTo(this.target.position);
         const healthPercent = this.health / this.maxHealth;
@@ -314,7 +379,10 @@ export class Enemy {
      * Update movement based on AI state
      */
     updateMovement(dt) {
-        if (!this.target) return;
+        if (!this.target) {
+            this.updateSearch(dt);
+            return;
+        }
 
         const toTarget = this.target.position.clone().sub(this.position);
         const distance = toTarget.length();
@@ -406,6 +474,51 @@ export class Enemy {
         this.mesh.quaternion.copy(this.quaternion);
     }
 
+    /**
+     * Circle the last known target position until it reappears
+     */
+    updateSearch(dt) {
+        let desiredVelocity = new THREE.Vector3();
+
+        if (this.lastKnownPosition) {
+            const toLastSeen = this.lastKnownPosition.clone().sub(this.position);
+            const wander = new THREE.Vector3(
+                Math.sin(this.stateTimer * 1.3),
+                Math.cos(this.stateTimer * 0.9) * 0.5,
+                Math.cos(this.stateTimer * 1.3)
+            ).multiplyScalar(150);
+
+            desiredVelocity = toLastSeen.add(wander).clampLength(0, this.speed * 0.4);
+        }
+
+        this.velocity.lerp(desiredVelocity, 0.05);
+        this.position.add(this.velocity.clone().multiplyScalar(dt));
+
+        if (this.velocity.length() > 10) {
+            const lookTarget = this.position.clone().add(this.velocity);
+            const lookMatrix = new THREE.Matrix4().lookAt(this.position, lookTarget, new THREE.Vector3(0, 1, 0));
+            const targetQuaternion = new THREE.Quaternion().setFromRotationMatrix(lookMatrix);
+            this.quaternion.slerp(targetQuaternion, this.turnSpeed * dt);
+        }
+
+        this.mesh.position.copy(this.position);
+        this.mesh.quaternion.copy(this.quaternion);
+    }
+
+    /**
+     * Knock out engines and weapons (EMP)
+     */
+    disable(duration) {
+        this.disabledTimer = Math.max(this.disabledTimer, duration);
+    }
+
+    /**
+     * Check if disabled by an EMP
+     */
+    isDisabled() {
+        return this.disabledTimer > 0;
+    }
+
     /**
      * Update visual effects
      */
@@ -420,6 +533,11 @@ export class Enemy {
         this.weakPoint.material.opacity = pulse;
         this.weakPoint.rotation.z += deltaTime * 0.001;
 
+        // EMP sparks - engine sputters
+        if (this.isDisabled()) {
+            this.engine.material.opacity = Math.random() < 0.2 ? 0.8 : 0.05;
+        }
+
         // Damage flash
         if (this.damageFlash) {
             this.damageFlash -= deltaTime;
@@ -433,7 +551,10 @@ export class Enemy {
      * Check if enemy can attack
      */
     canAttack() {
-        if (!this.target) return false;
+        if (!this.target || this.isDisabled()) return false;
+
+        // Harpooned enemies are helpless while dragged
+        if (this.tethered) return false;
 
         const now = performance.now();
         if (now - this.lastAttack < this.attackCooldown) return false;
@@ -0,0 +1,173 @@
+/**
+ * AETHELGARD: EVENT HORIZON
+ * Pickups Module
+ *
+ * Floating pickups dropped into the field. Flying into one collects
+ * it; nearby pickups drift toward the ship. Uncollected pickups blink
+ * out after their lifetime. Timers advance in update(), so pickups
+ * hold while the game is paused.
+ */
+
+import * as THREE from 'three';
+
+// Pickup types (times in ms)
+export const PICKUP_TYPES = {
+    repair: {
+        name: 'REPAIR KIT',
+        color: 0x00ff88,
+        hull: 20,          // Hull restored
+        subsystems: 40,    // Health restored to every subsystem
+        dropChance: 0.25,  // Chance a destroyed enemy drops one
+        lifetime: 15000
+    },
+    // Resources from destroyed asteroids (see engine/asteroids.js)
+    energy: {
+        name: 'ENERGY CELL',
+        color: 0xffcc00,
+        energy: 30,        // Energy restored
+        lifetime: 15000
+    },
+    salvage: {
+        name: 'SALVAGE',
+        color: 0xff8800,
+        score: 150,        // Points awarded
+        lifetime: 15000
+    }
+};
+
+export class Pickups {
+    constructor(scene) {
+        this.scene = scene;
+        this.pickups = [];
+
+        this.collectRadius = 50;
+        this.magnetRadius = 150;
+        this.magnetSpeed = 300; // Units per second toward the ship
+
+        // Callbacks
+        this.onCollect = null;
+    }
+
+    /**
+     * Drop a pickup at a position
+     */
+    spawn(type, position) {
+        const definition = PICKUP_TYPES[type];
+        if (!definition) return null;
+
+        const group = new THREE.Group();
+
+        // Wireframe shell around a glowing core
+        const shell = new THREE.Mesh(
+            new THREE.OctahedronGeometry(8),
+            new THREE.MeshBasicMaterial({
+                color: definition.color,
+                wireframe: true,
+                transparent: true,
+                opacity: 0.8
+            })
+        );
+        group.add(shell);
+
+        const core = new THREE.Mesh(
+            new THREE.SphereGeometry(3, 12, 12),
+            new THREE.MeshBasicMaterial({
+                color: 0xffffff,
+                transparent: true,
+                opacity: 0.9
+            })
+        );
+        group.add(core);
+
+        group.position.copy(position);
+        this.scene.add(group);
+
+        const pickup = {
+            type,
+            mesh: group,
+            position: group.position,
+            remaining: definition.lifetime
+        };
+        this.pickups.push(pickup);
+
+        return pickup;
+    }
+
+    /**
+     * Spin, drift toward the ship, expire and collect
+     */
+    update(deltaTime, ship) {
+        const dt = deltaTime * 0.001;
+
+        for (let i = this.pickups.length - 1; i >= 0; i--) {
+            const pickup = this.pickups[i];
+
+            pickup.remaining -= deltaTime;
+            if (pickup.remaining <= 0) {
+                this.remove(i);
+                continue;
+            }
+
+            // Spin
+            pickup.mesh.rotation.y += dt * 2;
+            pickup.mesh.rotation.x += dt;
+
+            // Blink out over the last few seconds
+            pickup.mesh.visible = pickup.remaining > 3000 || Math.floor(pickup.remaining / 150) % 2 === 0;
+
+            // Magnet toward the ship
+            const toShip = ship.position.clone().sub(pickup.position);
+            const distance = toShip.length();
+
+            if (distance < this.collectRadius) {
+                this.collect(pickup, ship);
+                this.remove(i);
+                continue;
+            }
+
+            if (distance < this.magnetRadius) {
+                pickup.position.addScaledVector(toShip.normalize(), Math.min(distance, this.magnetSpeed * dt));
+            }
+        }
+    }
+
+    /**
+     * Apply a pickup to the ship
+     */
+    collect(pickup, ship) {
+        const definition = PICKUP_TYPES[pickup.type];
+
+        switch (pickup.type) {
+            case 'repair':
+                ship.hull = Math.min(ship.maxHull, ship.hull + definition.hull);
+                ship.damage.repair(definition.subsystems);
+                break;
+            case 'energy':
+                ship.energy = Math.min(ship.maxEnergy, ship.energy + definition.energy);
+                break;
+        }
+
+        // Salvage score is paid out by the game
+        if (this.onCollect) {
+            this.onCollect(pickup.type, definition);
+        }
+    }
+
+    /**
+     * Remove a pickup by index
+     */
+    remove(index) {
+        this.scene.remove(this.pickups[index].mesh);
+        this.pickups.splice(index, 1);
+    }
+
+    /**
+     * Remove all pickups
+     */
+    cleanup() {
+        this.pickups.forEach(pickup => this.scene.remove(pickup.mesh));
+        this.pickups = [];
+    }
+}
+
+export default Pickups;
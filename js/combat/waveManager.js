@@ -7,11 +7,15 @@
 
 import * as THREE from 'three';
 import { Enemy, EnemyTypes } from './enemyAI.js';
+import { sweepSphere } from '../engine/spatialHash.js';
 
 export class WaveManager {
-    constructor(scene) {
+    constructor(scene, spatialHash) {
         this.scene = scene;
 
+        // Shared broadphase - asteroids stop enemy fire (see engine/spatialHash.js)
+        this.spatialHash = spatialHash;
+
         // Wave state
         this.currentWave = 0;
         this.enemiesRemaining = 0;
@@ -33,6 +37,9 @@ export class WaveManager {
         // Stats
         this.totalKills = 0;
 
+        // Scratch objects
+        this.sweepStart = new THREE.Vector3();
+
         console.log('⚔️ Wave manager initialized');
     }
 
@@ -172,7 +179,13 @@ export class WaveManager {
     /**
      * Update wave manager
      */
-    update(deltaTime, player, weapons) {
+    update(deltaTime, player, weapons, gadgets = null) {
+        // Shroud and decoy change who enemies can see
+        const deception = {
+            cloaked: gadgets ? gadgets.isCloaked() : false,
+            decoy: gadgets ? gadgets.getDecoy() : null
+        };
+
         // Spawn enemies
         if (this.enemiesToSpawn && this.enemiesToSpawn.length > 0) {
             this.timeSinceLastSpawn += deltaTime;
@@ -188,7 +201,7 @@ export class WaveManager {
         for (let i = this.activeEnemies.length - 1; i >= 0; i--) {
             const enemy = this.activeEnemies[i];
 
-            enemy.update(deltaTime, player);
+            enemy.update(deltaTime, player, deception);
 
             // Check if enemy can attack
             if (enemy.canAttack()) {
@@ -268,6 +281,7 @@ export class WaveManager {
         projectile.userData = {
             velocity: direction.multiplyScalar(600),
             damage: attack.damage,
+            radius: 3,
             created: performance.now(),
             lifetime: 5000
         };
@@ -294,7 +308,8 @@ export class WaveManager {
             const data = projectile.userData;
 
             // Move
-            projectile.position.add(data.velocity.clone().multiplyScalar(dt));
+            const start = this.sweepStart.copy(projectile.position);
+            projectile.position.addScaledVector(data.velocity, dt);
 
             // Check lifetime
             if (now - data.created > data.lifetime) {
@@ -303,19 +318,54 @@ export class WaveManager {
                 continue;
             }
 
-            // Check player collision
-            const distToPlayer = projectile.position.distanceTo(player.position);
-            if (distToPlayer < 40) {
+            // Check player and asteroid collisions along the whole move
+            const playerT = sweepSphere(start, projectile.position, player.position, 40);
+            const rockHit = this.spatialHash.sweep(start, projectile.position, data.radius, 'asteroids', rock => rock.parent);
+
+            if (playerT !== null && (!rockHit || playerT <= rockHit.t)) {
                 // Hit player
-                player.takeDamage(data.damage, projectile.position.clone());
+                const point = start.clone().lerp(projectile.position, playerT);
+                player.takeDamage(data.damage, point);
 
                 // Impact effect
-                this.createImpact(projectile.position.clone());
+                this.createImpact(point);
+
+                this.scene.remove(projectile);
+                this.enemyProjectiles.splice(i, 1);
+            } else if (rockHit) {
+                // Stopped by an asteroid
+                this.createImpact(rockHit.point);
+
+                this.scene.remove(projectile);
+                this.enemyProjectiles.splice(i, 1);
+            }
+        }
+    }
 
+    /**
+     * EMP: disable enemies and destroy projectiles within a radius.
+     * Returns the number of enemies disabled.
+     */
+    disableInRadius(center, radius, duration) {
+        let disabled = 0;
+
+        this.activeEnemies.forEach(enemy => {
+            if (enemy.position.distanceTo(center) <= radius) {
+                enemy.disable(duration);
+                disabled++;
+            }
+        });
+
+        for (let i = this.enemyProjectiles.length - 1; i >= 0; i--) {
+            const projectile = this.enemyProjectiles[i];
+            if (projectile.position.distanceTo(center) <= radius) {
+                this.createImpact(projectile.position.clone());
                 this.scene.remove(projectile);
                 this.enemyProjectiles.splice(i, 1);
             }
         }
+
+        return disabled;
     }
 
     /**
@@ -355,8 +405,13 @@ export class WaveManager {
     getEnemies() {
         return this.activeEnemies.map(e => ({
             mesh: e.mesh,
+            position: e.position,
+            velocity: e.velocity,
+            mass: e.mass,
             hitRadius: e.hitRadius,
-            takeDamage: (amount) => e.takeDamage(amount)
+            takeDamage: (amount) => e.takeDamage(amount),
+            isAlive: () => e.health > 0,
+            setTethered: (tethered) => { e.tethered = tethered; }
         }));
     }
 
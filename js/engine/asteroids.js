@@ -8,9 +8,18 @@
 
 import * as THREE from 'three';
 
+// Per size category: health (in weapon damage) and the chance a
+// destroyed asteroid drops a resource pickup
+export const ASTEROID_SIZES = {
+    small: { health: 25, dropChance: 0.1 },
+    medium: { health: 75, dropChance: 0.25 },
+    large: { health: 150, dropChance: 0.5 }
+};
+
 export class AsteroidField {
-    constructor(scene) {
+    constructor(scene, spatialHash) {
         this.scene = scene;
+        this.spatialHash = spatialHash; // Shared broadphase (see engine/spatialHash.js)
         this.asteroids = [];
         this.debris = [];
         this.pool = [];
@@ -168,22 +177,21 @@ export class AsteroidField {
     spawnAsteroid(position = null) {
         // Determine size
         const sizeRoll = Math.random();
-        let sizeCategory, scale, health;
+        let sizeCategory, scale;
 
         if (sizeRoll < 0.6) {
             sizeCategory = 'small';
             scale = 10 + Math.random() * 20;
-            health = 1;
         } else if (sizeRoll < 0.9) {
             sizeCategory = 'medium';
             scale = 30 + Math.random() * 50;
-            health = 3;
         } else {
             sizeCategory = 'large';
             scale = 80 + Math.random() * 150;
-            health = 5;
         }
 
+        const health = ASTEROID_SIZES[sizeCategory].health;
+
         // Select random geometry and material
         const geoList = this.geometries[sizeCategory];
         const geometry = geoList[Math.floor(Math.random() * geoList.length)];
@@ -291,16 +299,28 @@ export class AsteroidField {
     }
 
     /**
-     * Check collision with asteroid
+     * Index asteroids and debris in the spatial hash
      */
-    checkCollision(position, radius) {
-        for (const asteroid of this.asteroids) {
-            const distance = position.distanceTo(asteroid.position);
-            if (distance < radius + asteroid.userData.boundingRadius) {
-                return asteroid;
-            }
-        }
-        return null;
+    addToHash() {
+        this.asteroids.forEach(asteroid => {
+            this.spatialHash.insert(asteroid, asteroid.position, asteroid.userData.boundingRadius, 'asteroids');
+        });
+        this.debris.forEach(piece => {
+            this.spatialHash.insert(piece, piece.position, piece.userData.boundingRadius, 'debris');
+        });
+    }
+
+    /**
+     * Get every asteroid and debris piece overlapping a sphere
+     */
+    getOverlapping(position, radius) {
+        // Rocks destroyed since the hash was built have left the scene
+        const inScene = rock => rock.parent;
+
+        return [
+            ...this.spatialHash.overlapping(position, radius, 'asteroids', inScene),
+            ...this.spatialHash.overlapping(position, radius, 'debris', inScene)
+        ];
     }
 
     /**
@@ -309,13 +329,16 @@ export class AsteroidField {
     damageAsteroid(asteroid, damage) {
         asteroid.userData.health -= damage;
 
-        // Flash effect
-        const originalEmissive = asteroid.material.emissive.clone();
+        // Flash effect - keep the unflashed color so back-to-back hits
+        // (a sustained beam) restore it rather than the flash
+        if (!asteroid.userData.baseEmissive) {
+            asteroid.userData.baseEmissive = asteroid.material.emissive.clone();
+        }
         asteroid.material.emissive.set(0xffffff);
 
         setTimeout(() => {
             if (asteroid.material) {
-                asteroid.material.emissive.copy(originalEmissive);
+                asteroid.material.emissive.copy(asteroid.userData.baseEmissive);
             }
         }, 100);
 
@@ -366,22 +389,24 @@ export class AsteroidField {
                     x: (Math.random() - 0.5) * 0.1,
                     y: (Math.random() - 0.5) * 0.1
                 },
-                lifetime: 3000
+                lifetime: 3000,
+                boundingRadius: scale * 0.15
             };
 
             this.debris.push(debris);
             this.scene.add(debris);
         }
 
-        // Spawn smaller asteroids if big enough
+        // Spawn smaller asteroids if big enough, flying apart
         if (asteroid.userData.sizeCategory === 'large') {
             for (let i = 0; i < 2; i++) {
-                const newPos = position.clone().add(new THREE.Vector3(
+                const offset = new THREE.Vector3(
                     (Math.random() - 0.5) * scale,
                     (Math.random() - 0.5) * scale,
                     (Math.random() - 0.5) * scale
-                ));
-                this.spawnAsteroid(newPos);
+                );
+                const fragment = this.spawnAsteroid(position.clone().add(offset));
+                fragment.userData.velocity.copy(offset).setLength(40 + Math.random() * 40);
             }
         }
 
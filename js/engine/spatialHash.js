@@ -0,0 +1,180 @@
+/**
+ * AETHELGARD: EVENT HORIZON
+ * Spatial Hash Module
+ *
+ * Shared broadphase for hit tests. Bodies are bucketed into a uniform
+ * grid of cubic cells by their bounding spheres, under a layer name
+ * ('enemies', 'asteroids', 'debris'), so a query only visits nearby
+ * cells instead of every body in the world. The hash is rebuilt once
+ * per frame; entries keep a live reference to each body's position,
+ * and queries are padded to cover bodies that moved since the rebuild.
+ *
+ * Sweeps test a moving sphere against the segment it covers this frame,
+ * so fast projectiles can't tunnel through a target between frames.
+ */
+
+import * as THREE from 'three';
+
+// Scratch objects
+const direction = new THREE.Vector3();
+const offset = new THREE.Vector3();
+
+/**
+ * Fraction (0-1) along start -> end at which a sphere of the given
+ * radius swept along the segment first touches center, or null if it
+ * misses. 0 if it starts out touching.
+ */
+export function sweepSphere(start, end, center, radius) {
+    direction.copy(end).sub(start);
+    offset.copy(start).sub(center);
+
+    const c = offset.lengthSq() - radius * radius;
+    if (c <= 0) return 0;
+
+    // Not moving, or moving away
+    const a = direction.lengthSq();
+    const b = offset.dot(direction);
+    if (a === 0 || b >= 0) return null;
+
+    const discriminant = b * b - a * c;
+    if (discriminant < 0) return null;
+
+    const t = (-b - Math.sqrt(discriminant)) / a;
+    return t <= 1 ? t : null;
+}
+
+export class SpatialHash {
+    constructor(cellSize = 250) {
+        this.cellSize = cellSize;
+        this.margin = 60; // Query padding for bodies that moved since the rebuild
+
+        this.cells = new Map();
+
+        // Each query stamps the entries it visits so bodies spanning
+        // several cells are returned once
+        this.queryId = 0;
+    }
+
+    /**
+     * Remove every body
+     */
+    clear() {
+        this.cells.clear();
+    }
+
+    /**
+     * Add a body: any object, with the position and radius of its
+     * bounding sphere
+     */
+    insert(item, position, radius, layer) {
+        const entry = { item, position, radius, layer, queryId: 0 };
+        const size = this.cellSize;
+
+        const minX = Math.floor((position.x - radius) / size);
+        const minY = Math.floor((position.y - radius) / size);
+        const minZ = Math.floor((position.z - radius) / size);
+        const maxX = Math.floor((position.x + radius) / size);
+        const maxY = Math.floor((position.y + radius) / size);
+        const maxZ = Math.floor((position.z + radius) / size);
+
+        for (let x = minX; x <= maxX; x++) {
+            for (let y = minY; y <= maxY; y++) {
+                for (let z = minZ; z <= maxZ; z++) {
+                    const key = `${x},${y},${z}`;
+                    let cell = this.cells.get(key);
+                    if (!cell) {
+                        cell = [];
+                        this.cells.set(key, cell);
+                    }
+                    cell.push(entry);
+                }
+            }
+        }
+    }
+
+    /**
+     * Entries of a layer in cells touching an axis-aligned box
+     */
+    queryBox(min, max, layer) {
+        const size = this.cellSize;
+        const margin = this.margin;
+        const id = ++this.queryId;
+        const results = [];
+
+        const minX = Math.floor((min.x - margin) / size);
+        const minY = Math.floor((min.y - margin) / size);
+        const minZ = Math.floor((min.z - margin) / size);
+        const maxX = Math.floor((max.x + margin) / size);
+        const maxY = Math.floor((max.y + margin) / size);
+        const maxZ = Math.floor((max.z + margin) / size);
+
+        for (let x = minX; x <= maxX; x++) {
+            for (let y = minY; y <= maxY; y++) {
+                for (let z = minZ; z <= maxZ; z++) {
+                    const cell = this.cells.get(`${x},${y},${z}`);
+                    if (!cell) continue;
+
+                    for (const entry of cell) {
+                        if (entry.layer !== layer || entry.queryId === id) continue;
+                        entry.queryId = id;
+                        results.push(entry);
+                    }
+                }
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Bodies of a layer overlapping a sphere. Bodies failing the
+     * optional filter are ignored.
+     */
+    overlapping(position, radius, layer, filter = null) {
+        const min = { x: position.x - radius, y: position.y - radius, z: position.z - radius };
+        const max = { x: position.x + radius, y: position.y + radius, z: position.z + radius };
+
+        return this.queryBox(min, max, layer)
+            .filter(entry => entry.position.distanceTo(position) < radius + entry.radius)
+            .filter(entry => !filter || filter(entry.item))
+            .map(entry => entry.item);
+    }
+
+    /**
+     * First body of a layer touched by a sphere swept from start to end.
+     * Returns { item, t, point } (t = 0-1 along the sweep, point = the
+     * sphere's center at contact) or null. Bodies failing the optional
+     * filter are ignored.
+     */
+    sweep(start, end, radius, layer, filter = null) {
+        const min = {
+            x: Math.min(start.x, end.x) - radius,
+            y: Math.min(start.y, end.y) - radius,
+            z: Math.min(start.z, end.z) - radius
+        };
+        const max = {
+            x: Math.max(start.x, end.x) + radius,
+            y: Math.max(start.y, end.y) + radius,
+            z: Math.max(start.z, end.z) + radius
+        };
+
+        let hit = null;
+
+        for (const entry of this.queryBox(min, max, layer)) {
+            if (filter && !filter(entry.item)) continue;
+
+            const t = sweepSphere(start, end, entry.position, entry.radius + radius);
+            if (t !== null && (!hit || t < hit.t)) {
+                hit = { item: entry.item, t };
+            }
+        }
+
+        if (hit) {
+            hit.point = start.clone().lerp(end, hit.t);
+        }
+
+        return hit;
+    }
+}
+
+export default SpatialHash;
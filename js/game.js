@@ -8,12 +8,31 @@
 import * as THREE from 'three';
 import { Renderer } from './engine/renderer.js';
 import { Nebula } from './engine/nebula.js';
-import { AsteroidField } from './engine/asteroids.js';
-import { Aurelian } from './ship/aurelian.js';
+import { AsteroidField, ASTEROID_SIZES } from './engine/asteroids.js';
+import { SpatialHash } from './engine/spatialHash.js';
+import { PlayerShip } from './ship/playerShip.js';
+import { getShipClass } from './ship/shipClasses.js';
+import { ShipAbility, SHIP_ABILITIES } from './ship/abilities.js';
 import { Weapons } from './ship/weapons.js';
+import { Gadgets, GADGET_SLOTS } from './ship/gadgets.js';
+import { FlightModel, FLIGHT_MODES } from './ship/flightModel.js';
+import { ShieldSystem, SHIELD_MODES } from './ship/shieldSystem.js';
+import { Loadout } from './ship/loadout.js';
 import { WaveManager } from './combat/waveManager.js';
+import { Pickups, PICKUP_TYPES } from './combat/pickups.js';
+import { Collisions } from './combat/collisions.js';
 import { HandTracker } from './handTracking.js';
+import { InputManager } from './input/inputManager.js';
+import { LandmarkRecorder } from './input/landmarkRecorder.js';
+import { LandmarkPlayback } from './input/landmarkPlayback.js';
+import { GestureCalibration, DEFAULT_CALIBRATION } from './input/calibration.js';
+import { GestureBindings } from './input/gestureBindings.js';
+import { TrackingMonitor, TRACKING_ISSUES } from './input/trackingMonitor.js';
 import { HUD } from './ui/hud.js';
+import { CalibrationWizard } from './ui/calibrationWizard.js';
+import { BindingsPanel } from './ui/bindingsPanel.js';
+import { HangarPanel } from './ui/hangarPanel.js';
+import { ShipSelect } from './ui/shipSelect.js';
 import { SoundManager } from './audio/soundManager.js';
 
 class Game {
@@ -32,9 +51,16 @@ class Game {
         this.asteroids = null;
         this.ship = null;
         this.weapons = null;
+        this.ability = null;
+        this.gadgets = null;
         this.waveManager = null;
+        this.pickups = null;
         this.handTracker = null;
+        this.input = null;
+        this.recorder = null;
+        this.playback = null;
         this.hud = null;
+        this.calibrationWizard = null;
         this.sound = null;
 
         // Camera follow
@@ -45,6 +71,12 @@ class Game {
         this.tutorialStep = 0;
         this.tutorialComplete = false;
 
+        // Replaying a recorded hand-tracking session
+        this.isReplaying = false;
+
+        // Credits for the current run have been paid out
+        this.runCredited = false;
+
         this.init();
     }
 
@@ -59,6 +91,9 @@ class Game {
 
         // Start loading
         await this.load();
+
+        // Recorded session passed as ?replay=<url> skips the camera prompt
+        await this.loadReplayFromQuery();
     }
 
     async initializeSystems() {
@@ -66,29 +101,101 @@ class Game {
         const canvas = document.getElementById('game-canvas');
         this.renderer = new Renderer(canvas);
 
+        // Shared broadphase for weapon, projectile and asteroid hit tests
+        this.spatialHash = new SpatialHash();
+
         // Create environment
         this.nebula = new Nebula(this.renderer.scene);
-        this.asteroids = new AsteroidField(this.renderer.scene);
+        this.asteroids = new AsteroidField(this.renderer.scene, this.spatialHash);
+
+        // Hangar credits, upgrades and ship class
+        this.loadout = Loadout.load() || new Loadout();
 
         // Create player ship
-        this.ship = new Aurelian(this.renderer.scene);
+        this.ship = new PlayerShip(this.renderer.scene, getShipClass(this.loadout.shipClass));
+
+        // Apply the saved flight model
+        const flightMode = FlightModel.loadMode();
+        if (flightMode) {
+            this.ship.flight.setMode(flightMode);
+        }
+
+        // Apply the saved shield layout
+        const shieldMode = ShieldSystem.loadMode();
+        if (shieldMode) {
+            this.ship.shields.setMode(shieldMode);
+        }
 
         // Create weapons
-        this.weapons = new Weapons(this.renderer.scene, this.ship);
+        this.weapons = new Weapons(this.renderer.scene, this.ship, this.spatialHash);
+
+        // Ship class signature ability
+        this.ability = new ShipAbility(this.ship, this.weapons);
 
         // Create wave manager
-        this.waveManager = new WaveManager(this.renderer.scene);
+        this.waveManager = new WaveManager(this.renderer.scene, this.spatialHash);
         this.waveManager.onWaveComplete = (wave) => this.onWaveComplete(wave);
         this.waveManager.onEnemyKilled = (enemy) => this.onEnemyKilled(enemy);
 
+        // Create gadgets (Shroud, EMP, Decoy)
+        this.gadgets = new Gadgets(this.renderer.scene, this.ship, this.waveManager);
+
+        // Repair kits from destroyed enemies, resources from asteroids
+        this.pickups = new Pickups(this.renderer.scene);
+
+        // Bounce and impact damage between ships, asteroids and debris
+        this.collisions = new Collisions();
+        this.collisions.onImpact = (impact) => this.onImpact(impact);
+        this.collisions.onSling = () => this.sound.play('explosion', { size: 0.6 });
+
         // Create hand tracker
         this.handTracker = new HandTracker();
+        this.handTracker.onHandUpdate = (data) => this.onHandUpdate(data);
+
+        // Apply the player's saved gesture calibration
+        const calibration = GestureCalibration.load();
+        if (calibration) {
+            this.handTracker.applyCalibration(calibration);
+        }
+
+        // Apply the player's saved gesture bindings
+        const bindings = GestureBindings.load();
+        if (bindings) {
+            this.handTracker.setBindings(bindings);
+        }
+
+        // Tracking health (auto-pause when hands are lost)
+        this.trackingMonitor = new TrackingMonitor(this.handTracker);
+        this.autoPaused = false;
+
+        // Session recording and playback
+        this.recorder = new LandmarkRecorder(this.handTracker);
+        this.playback = new LandmarkPlayback(this.handTracker);
+
+        // Create input manager (hands, keyboard/mouse, gamepad)
+        this.input = new InputManager(this.handTracker);
+        this.input.onGestureChange = (gesture, prev) => this.onGestureChange(gesture, prev);
 
         // Create HUD
         this.hud = new HUD();
+        this.calibrationWizard = new CalibrationWizard(this.handTracker);
+        this.bindingsPanel = new BindingsPanel(this.handTracker);
+        this.hangarPanel = new HangarPanel(this.loadout);
+        this.shipSelect = new ShipSelect(this.loadout);
 
         // Create sound manager
         this.sound = new SoundManager();
+        this.hangarPanel.onPurchase = () => this.sound.play('powerup');
+        this.ship.maneuvers.onStart = (id) => this.onManeuver(id);
+        this.pickups.onCollect = (type, definition) => this.onPickupCollected(type, definition);
+        this.ability.onUse = (id) => this.onAbility(id);
+        this.ship.power.onChange = () => this.onPowerChange();
+        this.weapons.heat.onOverheat = () => this.sound.play('warning');
+        this.weapons.heat.onVent = (id, perfect) => this.onVent(perfect);
+        this.weapons.onBeamStop = (reason) => this.onBeamStop(reason);
+        this.weapons.onAsteroidDestroyed = (asteroid) => this.onAsteroidDestroyed(asteroid);
+        this.weapons.onFinisher = () => this.onFinisher();
+        this.shipSelect.onChange = () => this.sound.play('powerup');
     }
 
     setupEventListeners() {
@@ -97,6 +204,14 @@ class Game {
             await this.startHandTracking();
         });
 
+        document.getElementById('calibrate-camera-btn').addEventListener('click', async () => {
+            await this.startHandTracking(true);
+        });
+
+        document.getElementById('skip-camera-btn').addEventListener('click', async () => {
+            await this.startWithoutCamera();
+        });
+
         // Menu buttons
         document.getElementById('start-game-btn').addEventListener('click', () => {
             this.startGame();
@@ -106,9 +221,58 @@ class Game {
             this.startTutorial();
         });
 
+        document.getElementById('hangar-btn').addEventListener('click', () => {
+            this.hangarPanel.open();
+        });
+
         document.getElementById('settings-btn').addEventListener('click', () => {
-            // Settings panel (could be expanded)
+            this.openSettings();
+        });
+
+        // Hangar
+        document.getElementById('hangar-launch-btn').addEventListener('click', () => {
+            this.hangarPanel.close();
+            this.startGame();
+        });
+
+        document.getElementById('hangar-close-btn').addEventListener('click', () => {
+            this.hangarPanel.close();
+        });
+
+        // Ship systems panel
+        document.getElementById('calibrate-btn').addEventListener('click', () => {
+            this.openCalibration(() => this.openSettings());
+        });
+
+        document.getElementById('reset-calibration-btn').addEventListener('click', () => {
+            GestureCalibration.clear();
+            this.handTracker.applyCalibration(DEFAULT_CALIBRATION);
+            console.log('🎯 Gesture calibration reset to defaults');
+        });
+
+        document.getElementById('flight-mode-btn').addEventListener('click', () => {
+            this.toggleFlightMode();
+        });
+
+        document.getElementById('shield-mode-btn').addEventListener('click', () => {
+            this.toggleShieldMode();
+        });
+
+        document.getElementById('auto-pause-btn').addEventListener('click', () => {
+            this.cycleAutoPause();
+        });
+
+        document.getElementById('tracking-log-btn').addEventListener('click', () => {
+            this.trackingMonitor.downloadLog();
+        });
+
+        document.getElementById('mute-btn').addEventListener('click', () => {
             this.sound.toggleMute();
+            this.updateSettingsPanel();
+        });
+
+        document.getElementById('settings-close-btn').addEventListener('click', () => {
+            this.closeSettings();
         });
 
         // Tutorial navigation
@@ -134,6 +298,11 @@ class Game {
             this.returnToMenu();
         });
 
+        // Re-acquire overlay
+        document.getElementById('reacquire-continue-btn').addEventListener('click', () => {
+            this.resume();
+        });
+
         // Game over buttons
         document.getElementById('restart-btn').addEventListener('click', () => {
             this.restart();
@@ -143,6 +312,11 @@ class Game {
             this.returnToMenu();
         });
 
+        document.getElementById('gameover-hangar-btn').addEventListener('click', () => {
+            this.returnToMenu();
+            this.hangarPanel.open();
+        });
+
         // Keyboard controls (fallback)
         window.addEventListener('keydown', (e) => this.onKeyDown(e));
         window.addEventListener('keyup', (e) => this.onKeyUp(e));
@@ -182,33 +356,163 @@ class Game {
         this.state = 'permission';
     }
 
-    async startHandTracking() {
+    async startHandTracking(calibrate = false) {
         const video = document.getElementById('hand-video');
         const canvas = document.getElementById('hand-overlay');
 
-        await this.handTracker.initialize(video, canvas);
-        const success = await this.handTracker.start();
+        let success = false;
+        try {
+            await this.handTracker.initialize(video, canvas);
+            success = await this.handTracker.start();
+        } catch (error) {
+            console.error('Failed to initialize hand tracking:', error);
+        }
 
         if (success) {
-            // Setup hand tracking callback
-            this.handTracker.onHandUpdate = (data) => this.onHandUpdate(data);
-            this.handTracker.onGestureChange = (gesture, prev) => this.onGestureChange(gesture, prev);
-
             // Resume audio context
             await this.sound.resume();
 
-            // Show main menu
-            document.getElementById('permission-screen').classList.add('hidden');
-            document.getElementById('main-menu').classList.remove('hidden');
-            this.state = 'menu';
-
-            // Start menu background animation
-            this.startMenuBackground();
+            if (calibrate) {
+                this.openCalibration(() => this.showMainMenu());
+            } else {
+                this.showMainMenu();
+            }
         } else {
-            alert('Camera access is required to play. Please refresh and allow camera access.');
+            alert('Camera unavailable. Switching to keyboard, mouse and gamepad controls.');
+            await this.startWithoutCamera();
         }
     }
 
+    /**
+     * Skip hand tracking and fly with keyboard, mouse or gamepad
+     */
+    async startWithoutCamera() {
+        console.log('⌨️ Flying without camera');
+        await this.sound.resume();
+        this.showMainMenu();
+    }
+
+    /**
+     * Load a recorded landmark session from the ?replay= query parameter
+     */
+    async loadReplayFromQuery() {
+        const url = new URLSearchParams(window.location.search).get('replay');
+        if (!url) return;
+
+        try {
+            await this.playback.loadFromURL(url);
+        } catch (error) {
+            console.error('Failed to load replay:', error);
+            return;
+        }
+
+        this.handTracker.attachCanvas(document.getElementById('hand-overlay'));
+        this.isReplaying = true;
+        await this.startWithoutCamera();
+    }
+
+    /**
+     * Start or stop recording hand landmarks, saving on stop
+     */
+    toggleRecording() {
+        if (this.recorder.isRecording) {
+            this.recorder.stop();
+            this.recorder.download();
+        } else if (this.handTracker.isRunning) {
+            this.recorder.start();
+        }
+    }
+
+    /**
+     * Run the gesture calibration wizard, then call onFinish
+     */
+    openCalibration(onFinish) {
+        if (!this.handTracker.isRunning) {
+            alert('Enable the camera (NEURAL LINK) to calibrate gestures.');
+            return;
+        }
+
+        document.getElementById('settings-panel').classList.add('hidden');
+
+        this.calibrationWizard.onComplete = onFinish;
+        this.calibrationWizard.onCancel = onFinish;
+        this.calibrationWizard.open();
+    }
+
+    openSettings() {
+        this.updateSettingsPanel();
+        document.getElementById('settings-panel').classList.remove('hidden');
+    }
+
+    closeSettings() {
+        document.getElementById('settings-panel').classList.add('hidden');
+    }
+
+    updateSettingsPanel() {
+        document.getElementById('mute-btn').textContent =
+            this.sound.muted ? 'SOUND: OFF' : 'SOUND: ON';
+
+        document.getElementById('flight-mode-btn').textContent =
+            this.ship.flight.mode === FLIGHT_MODES.ARCADE
+                ? 'FLIGHT: ARCADE ASSIST'
+                : 'FLIGHT: NEWTONIAN';
+
+        document.getElementById('shield-mode-btn').textContent =
+            this.ship.shields.mode === SHIELD_MODES.DIRECTIONAL
+                ? 'SHIELDS: DIRECTIONAL'
+                : 'SHIELDS: UNIFORM';
+
+        const timeout = this.trackingMonitor.lossTimeout;
+        document.getElementById('auto-pause-btn').textContent = timeout > 0
+            ? `AUTO-PAUSE: ${timeout / 1000}s`
+            : 'AUTO-PAUSE: OFF';
+    }
+
+    /**
+     * Switch between arcade assist and Newtonian flight
+     */
+    toggleFlightMode() {
+        const mode = this.ship.flight.mode === FLIGHT_MODES.ARCADE
+            ? FLIGHT_MODES.NEWTONIAN
+            : FLIGHT_MODES.ARCADE;
+
+        this.ship.flight.setMode(mode);
+        FlightModel.saveMode(mode);
+        this.updateSettingsPanel();
+    }
+
+    /**
+     * Switch between uniform and directional shields
+     */
+    toggleShieldMode() {
+        const mode = this.ship.shields.mode === SHIELD_MODES.UNIFORM
+            ? SHIELD_MODES.DIRECTIONAL
+            : SHIELD_MODES.UNIFORM;
+
+        this.ship.shields.setMode(mode);
+        ShieldSystem.saveMode(mode);
+        this.updateSettingsPanel();
+    }
+
+    /**
+     * Step through auto-pause timeouts (off, 1s, 1.5s, 3s)
+     */
+    cycleAutoPause() {
+        const options = [1000, 1500, 3000, 0];
+        const index = options.indexOf(this.trackingMonitor.lossTimeout);
+        this.trackingMonitor.setLossTimeout(options[(index + 1) % options.length]);
+        this.updateSettingsPanel();
+    }
+
+    showMainMenu() {
+        document.getElementById('permission-screen').classList.add('hidden');
+        document.getElementById('main-menu').classList.remove('hidden');
+        this.state = 'menu';
+
+        // Start menu background animation
+        this.startMenuBackground();
+    }
+
     startMenuBackground() {
         // Create animated nebula for menu
         const menuCanvas = document.getElementById('menu-bg-canvas');
@@ -259,16 +563,39 @@ class Game {
         document.getElementById('main-menu').classList.add('hidden');
         document.getElementById('game-container').classList.remove('hidden');
 
-        // Reset game state
+        // Fit the selected hull and hangar upgrades, then reset game state
+        const shipClass = getShipClass(this.loadout.shipClass);
+        this.ship.setHull(shipClass);
+        this.hud.setShip(shipClass.name, SHIP_ABILITIES[shipClass.ability]);
+        this.loadout.apply(this.ship, this.weapons);
+        this.ship.fit();
+        this.ship.damage.reset();
+        this.ship.power.reset();
+        this.runCredited = false;
+
         this.ship.hull = this.ship.maxHull;
-        this.ship.shield = this.ship.maxShield;
+        this.ship.shields.reset();
         this.ship.energy = this.ship.maxEnergy;
         this.ship.position.set(0, 0, 0);
         this.ship.velocity.set(0, 0, 0);
+        this.ship.quaternion.identity();
+        this.ship.flight.reset();
+        this.ship.maneuvers.reset();
+        this.ability.reset();
 
         this.hud.reset();
         this.waveManager.cleanup();
         this.weapons.cleanup();
+        this.gadgets.cleanup();
+        this.pickups.cleanup();
+        this.collisions.reset();
+
+        this.trackingMonitor.reset();
+
+        // Replay recorded gestures from the start of the run
+        if (this.isReplaying) {
+            this.playback.play();
+        }
 
         // Start first wave
         this.waveManager.startWave(1);
@@ -293,7 +620,7 @@ class Game {
     }
 
     nextTutorialStep() {
-        const totalSteps = 5;
+        const totalSteps = document.querySelectorAll('.tutorial-step').length;
         if (this.tutorialStep < totalSteps - 1) {
             this.tutorialStep++;
             this.updateTutorialStep();
@@ -326,8 +653,16 @@ class Game {
         this.deltaTime = Math.min(time - this.lastTime, 100); // Cap at 100ms
         this.lastTime = time;
 
+        // Watch tracking quality, even while paused
+        if (this.handTracker.isTracking()) {
+            this.updateTrackingHealth();
+        }
+
         if (this.state === 'playing') {
             this.update(this.deltaTime);
+        } else {
+            // Loops (the beam hum) only play in flight
+            this.sound.stopAllLoops();
         }
 
         // Render
@@ -338,47 +673,46 @@ class Game {
     }
 
     update(deltaTime) {
-        // Get current gesture and aim from hand tracker
-        const gesture = this.handTracker.currentGesture;
-        const aimPosition = this.handTracker.smoothAimPosition;
+        // Get current gesture, aim and analog controls from the active input source
+        const { gesture, secondaryFire, aimPosition, throttle, roll, strafe } = this.input.update(deltaTime);
 
         // Update ship
-        this.ship.update(deltaTime, gesture, aimPosition);
+        this.ship.update(deltaTime, gesture, aimPosition, { throttle, roll, strafe });
 
-        // Handle weapon firing
+        // Handle weapon firing - the beam runs until the trigger is released.
+        // The secondary slot has its own trigger and can fire alongside.
         if (gesture === 'FIRE_PRIMARY') {
             if (this.weapons.firePrimary()) {
-                this.sound.play('railgun');
-            }
-        } else if (gesture === 'FIRE_SECONDARY') {
-            if (this.weapons.currentWeapon !== 'harpoon') {
-                this.weapons.selectWeapon('harpoon');
-            }
-            if (this.weapons.firePrimary()) {
-                this.sound.play('explosion', { size: 0.5 });
+                this.sound.play(this.weapons.currentWeapon === 'laser' ? 'laser' : 'railgun');
             }
         }
+        if (secondaryFire && this.weapons.fireSecondary()) {
+            this.sound.play('explosion', { size: 0.5 });
+        }
+
+        // Rebuild the shared broadphase for this frame's hit tests
+        this.updateSpatialHash();
 
         // Update weapons
-        const enemies = this.waveManager.getEnemies();
-        this.weapons.update(deltaTime, enemies);
+        this.weapons.update(deltaTime, this.asteroids);
+        this.sound.setLoop('laser', this.weapons.isBeamActive());
+
+        // Update gadgets and the ship's ability
+        this.gadgets.update(deltaTime);
+        this.ability.update(deltaTime);
 
         // Update wave manager
-        this.waveManager.update(deltaTime, this.ship, this.weapons);
+        this.waveManager.update(deltaTime, this.ship, this.weapons, this.gadgets);
+
+        // Update pickups
+        this.pickups.update(deltaTime, this.ship);
 
         // Update environment
         this.nebula.update(deltaTime);
         this.asteroids.update(deltaTime, this.ship.position);
 
-        // Check asteroid collisions
-        const asteroidHit = this.asteroids.checkCollision(this.ship.position, 30);
-        if (asteroidHit) {
-            if (this.ship.takeDamage(10)) {
-                this.gameOver();
-            }
-            this.sound.play('hit');
-            this.hud.showDamageIndicator();
-        }
+        // Resolve collisions
+        this.collisions.update(deltaTime, this.ship, this.waveManager.activeEnemies, this.asteroids);
 
         // Update camera
         this.updateCamera();
@@ -386,10 +720,13 @@ class Game {
         // Update HUD
         this.hud.update(deltaTime);
         this.hud.updateShipStatus(this.ship.getStats());
+        this.hud.setEnergyDraining(this.weapons.isBeamActive());
+        this.hud.updateSubsystems(this.ship.damage.getLevels());
+        this.hud.updatePower(this.ship.power.getLevels(), this.ship.power.getPresetName());
         this.hud.updateSpeed(this.ship.getSpeed());
         this.hud.updateGesture(
-            this.handTracker.getGestureIcon(),
-            this.handTracker.getGestureName()
+            this.handTracker.getGestureIcon(gesture),
+            this.handTracker.getGestureName(gesture)
         );
 
         // Update radar
@@ -397,19 +734,28 @@ class Game {
             this.ship.position,
             this.ship.rotation,
             this.waveManager.getRadarData(),
-            this.asteroids.getNearbyAsteroids(this.ship.position, 2000)
+            this.asteroids.getNearbyAsteroids(this.ship.position, 2000),
+            this.ship.damage.getRadarRange()
         );
 
         // Update weapon cooldowns
         this.hud.updateWeapons(
-            this.weapons.currentWeapon,
+            this.weapons.getSlots(),
             {
                 railgun: this.weapons.getCooldownProgress('railgun'),
                 laser: this.weapons.getCooldownProgress('laser'),
                 harpoon: this.weapons.getCooldownProgress('harpoon')
-            }
+            },
+            this.weapons.heat.getLevels()
         );
 
+        // Update gadget and ability cooldowns
+        this.hud.updateGadgets(
+            GADGET_SLOTS.map(id => this.gadgets.getCooldownProgress(id)),
+            GADGET_SLOTS.map(id => this.gadgets.isActive(id))
+        );
+        this.hud.updateAbility(this.ability.getCooldownProgress(), this.ability.isActive());
+
         // Check game over
         if (this.ship.hull <= 0) {
             this.gameOver();
@@ -430,6 +776,18 @@ class Game {
         }
     }
 
+    /**
+     * Re-index enemies, asteroids and debris in the spatial hash
+     */
+    updateSpatialHash() {
+        this.spatialHash.clear();
+
+        this.waveManager.getEnemies().forEach(enemy => {
+            this.spatialHash.insert(enemy, enemy.position, enemy.hitRadius, 'enemies');
+        });
+        this.asteroids.addToHash();
+    }
+
     updateCamera() {
         // Third-person follow camera
         const shipPos = this.ship.position;
@@ -442,6 +800,9 @@ class Game {
         // Smooth camera movement
         this.renderer.camera.position.lerp(targetCamPos, 0.05);
 
+        // Keep the ship's up as camera up so loops and rolls stay readable
+        this.renderer.camera.up.set(0, 1, 0).applyQuaternion(shipQuat);
+
         // Camera look at point ahead of ship
         const lookOffset = this.cameraLookOffset.clone().applyQuaternion(shipQuat);
         const lookTarget = shipPos.clone().add(lookOffset);
@@ -449,6 +810,11 @@ class Game {
     }
 
     onHandUpdate(data) {
+        // Feed the calibration wizard while it is open
+        if (this.calibrationWizard.isActive) {
+            this.calibrationWizard.onHandUpdate(data);
+        }
+
         // Update hand status indicators
         const leftIndicator = document.querySelector('.hand-indicator.left-hand');
         const rightIndicator = document.querySelector('.hand-indicator.right-hand');
@@ -478,10 +844,165 @@ class Game {
             case 'SHIELD':
                 this.sound.play('shield');
                 break;
-            case 'BARREL_ROLL':
-                this.sound.play('boost');
+        }
+
+        // Releasing the trigger stops the beam (pausing stops it too)
+        if (previousGesture === 'FIRE_PRIMARY') {
+            this.weapons.releasePrimary();
+        }
+
+        if (this.state !== 'playing') return;
+
+        // One-shot actions fire on entering the gesture
+        switch (gesture) {
+            case 'FIRE_PRIMARY':
+                // Pulling the trigger while overheated tries an active vent
+                this.weapons.heat.activeVent(this.weapons.currentWeapon);
+                break;
+            case 'WEAPON_NEXT':
+                this.weapons.cycleWeapon(1);
+                break;
+            case 'WEAPON_PREV':
+                this.weapons.cycleWeapon(-1);
+                break;
+            case 'GADGET_SHROUD':
+                this.useGadget(0);
+                break;
+            case 'GADGET_EMP':
+                this.useGadget(1);
+                break;
+            case 'GADGET_DECOY':
+                this.useGadget(2);
+                break;
+            case 'ABILITY':
+                if (!this.ability.use()) {
+                    this.sound.play('warning');
+                }
+                break;
+            case 'POWER_CYCLE':
+                this.ship.power.cyclePreset();
+                break;
+        }
+    }
+
+    /**
+     * Route one power pip to a system (keyboard 7/8/9)
+     */
+    routePower(system) {
+        if (this.state !== 'playing') return;
+
+        if (!this.ship.power.route(system)) {
+            this.sound.play('warning');
+        }
+    }
+
+    /**
+     * Feedback when the beam cuts out on its own
+     */
+    onBeamStop(reason) {
+        if (reason === 'energy') {
+            this.hud.flashEnergy();
+            this.sound.play('warning');
+        }
+    }
+
+    /**
+     * Feedback when a collision damages the ship
+     */
+    onImpact(impact) {
+        this.sound.play('hit');
+        this.hud.showDamageIndicator();
+        this.renderer.shake(Math.min(1, impact.damage / 20), 200);
+    }
+
+    /**
+     * Feedback when the harpoon reels an enemy in for the finishing blow
+     */
+    onFinisher() {
+        this.sound.play('explosion', { size: 1.2 });
+        this.renderer.shake(0.6, 250);
+    }
+
+    /**
+     * Feedback for an active vent - perfect vents clear the lockout
+     */
+    onVent(perfect) {
+        if (perfect) {
+            this.sound.play('powerup');
+            this.renderer.shake(0.3, 150);
+        } else {
+            this.sound.play('warning');
+        }
+    }
+
+    /**
+     * Feedback when power is rerouted
+     */
+    onPowerChange() {
+        this.hud.flashPower();
+        this.sound.play('powerup');
+    }
+
+    /**
+     * Feedback when a maneuver starts
+     */
+    onManeuver(id) {
+        this.sound.play('boost');
+
+        switch (id) {
+            case 'barrelRoll':
                 this.renderer.shake(0.5, 300);
                 break;
+            case 'boostDash':
+                this.renderer.shake(0.8, 200);
+                break;
+        }
+    }
+
+    /**
+     * Feedback when the ship's signature ability fires
+     */
+    onAbility(id) {
+        this.hud.flashAbility();
+
+        switch (id) {
+            case 'overcharge':
+                this.sound.play('powerup');
+                break;
+            case 'broadside':
+                this.sound.play('railgun');
+                this.renderer.shake(0.6, 250);
+                break;
+            case 'blink':
+                this.sound.play('boost');
+                this.renderer.shake(0.4, 150);
+                break;
+        }
+    }
+
+    /**
+     * Trigger a gadget slot (0 = SHROUD, 1 = EMP, 2 = DECOY)
+     */
+    useGadget(slot) {
+        const id = GADGET_SLOTS[slot];
+        if (!this.gadgets.use(id)) {
+            this.sound.play('warning');
+            return;
+        }
+
+        this.hud.flashGadget(slot);
+
+        switch (id) {
+            case 'shroud':
+                this.sound.play('shield');
+                break;
+            case 'emp':
+                this.sound.play('explosion', { size: 1.5 });
+                this.renderer.shake(0.6, 400);
+                break;
+            case 'decoy':
+                this.sound.play('powerup');
+                break;
         }
     }
 
@@ -503,20 +1024,115 @@ class Game {
         this.hud.incrementCombo();
         this.sound.play('explosion', { size: 1 });
         this.renderer.shake(0.3, 200);
+
+        // Chance to drop a repair kit
+        if (Math.random() < PICKUP_TYPES.repair.dropChance) {
+            this.pickups.spawn('repair', enemy.position);
+        }
+    }
+
+    /**
+     * A weapon broke an asteroid - bigger rocks are likelier to leave
+     * an energy cell or salvage behind
+     */
+    onAsteroidDestroyed(asteroid) {
+        this.sound.play('explosion', { size: 0.8 });
+
+        if (Math.random() < ASTEROID_SIZES[asteroid.userData.sizeCategory].dropChance) {
+            this.pickups.spawn(Math.random() < 0.5 ? 'energy' : 'salvage', asteroid.position);
+        }
+    }
+
+    /**
+     * Feedback for a collected pickup; salvage pays out score
+     */
+    onPickupCollected(type, definition) {
+        this.sound.play('powerup');
+
+        if (definition.score) {
+            this.hud.addScore(definition.score);
+        }
     }
 
     pause() {
         if (this.state !== 'playing') return;
 
-        this.state = 'paused';
+        this.enterPause();
         document.getElementById('pause-menu').classList.remove('hidden');
     }
 
+    /**
+     * Freeze play (manual or auto pause). Trigger releases aren't seen
+     * while paused, so the beam is stopped rather than left on.
+     */
+    enterPause() {
+        this.state = 'paused';
+        this.weapons.releasePrimary();
+    }
+
     resume() {
         if (this.state !== 'paused') return;
 
+        // Resuming by hand from an auto-pause starts a fresh loss timer
+        if (this.autoPaused) {
+            this.autoPaused = false;
+            this.trackingMonitor.reset();
+        }
+
         this.state = 'playing';
         document.getElementById('pause-menu').classList.add('hidden');
+        document.getElementById('reacquire-overlay').classList.add('hidden');
+    }
+
+    /**
+     * Auto-pause and resume as hand tracking is lost and regained
+     */
+    updateTrackingHealth() {
+        const now = performance.now();
+        const health = this.trackingMonitor.update(now);
+
+        if (this.state === 'playing' && this.isFlyingByHand() &&
+            this.trackingMonitor.shouldAutoPause(now)) {
+            this.autoPause();
+        }
+
+        if (this.autoPaused) {
+            this.updateReacquireOverlay(health);
+
+            if (this.trackingMonitor.isReacquired(now)) {
+                console.log('🖐️ Hands re-acquired');
+                this.resume();
+            }
+        }
+    }
+
+    /**
+     * Check the player was flying by hand when tracking dropped -
+     * keyboard or gamepad use since then means they switched on purpose
+     */
+    isFlyingByHand() {
+        const lostAt = this.trackingMonitor.lastHandsTime;
+        return lostAt > 0 && this.input.sources.every(source => source.lastActivity < lostAt);
+    }
+
+    autoPause() {
+        this.enterPause();
+        this.autoPaused = true;
+        this.trackingMonitor.markAutoPaused();
+
+        document.getElementById('reacquire-overlay').classList.remove('hidden');
+        console.log('⏸️ Auto-paused: hand tracking lost');
+    }
+
+    updateReacquireOverlay(health) {
+        const hints = health.issues
+            .filter(issue => issue !== 'NO_HANDS')
+            .map(issue => TRACKING_ISSUES[issue]);
+
+        document.getElementById('reacquire-issues').textContent = hints.join(' · ');
+        document.getElementById('reacquire-status').textContent = health.handsLostFor > 0
+            ? 'SEARCHING...'
+            : 'HANDS DETECTED - HOLD STEADY';
     }
 
     gameOver() {
@@ -524,37 +1140,67 @@ class Game {
 
         this.state = 'gameover';
         this.sound.stopMusic();
+        this.sound.stopAllLoops();
         this.sound.play('explosion', { size: 2 });
 
+        const credits = this.awardCredits();
+
         // Show game over screen with stats
         this.hud.showGameOver(
             this.hud.score,
             this.waveManager.currentWave,
-            this.waveManager.totalKills
+            this.waveManager.totalKills,
+            credits
         );
 
         // Screen shake
         this.renderer.shake(2, 1000);
     }
 
+    /**
+     * Pay out the run's score as hangar credits (once per run)
+     */
+    awardCredits() {
+        if (this.runCredited) return 0;
+        this.runCredited = true;
+
+        const earned = this.loadout.earnCredits(this.hud.score);
+        Loadout.save(this.loadout);
+        this.hangarPanel.refresh();
+
+        console.log(`💰 Earned ${earned} credits`);
+        return earned;
+    }
+
     restart() {
         this.hud.hideGameOver();
         this.startGame();
     }
 
     returnToMenu() {
+        // Aborted runs still pay out what they scored
+        if (this.state === 'playing' || this.state === 'paused') {
+            this.awardCredits();
+        }
+
         this.state = 'menu';
         this.isRunning = false;
 
         // Clean up game state
         this.waveManager.cleanup();
         this.weapons.cleanup();
+        this.gadgets.cleanup();
+        this.pickups.cleanup();
+        this.playback.stop();
         this.sound.stopMusic();
+        this.sound.stopAllLoops();
 
         // Hide game screens
         document.getElementById('game-container').classList.add('hidden');
         document.getElementById('pause-menu').classList.add('hidden');
+        document.getElementById('reacquire-overlay').classList.add('hidden');
         document.getElementById('game-over').classList.add('hidden');
+        this.autoPaused = false;
 
         // Show menu
         document.getElementById('main-menu').classList.remove('hidden');
@@ -574,14 +1220,28 @@ class Game {
             case 'm':
                 this.sound.toggleMute();
                 break;
+            case 'r':
+                this.toggleRecording();
+                break;
             case '1':
                 this.weapons.selectWeapon('railgun');
                 break;
             case '2':
                 this.weapons.selectWeapon('laser');
                 break;
-            case '3':
-                this.weapons.selectWeapon('harpoon');
+            case '7':
+                this.routePower('engines');
+                break;
+            case '8':
+                this.routePower('shields');
+                break;
+            case '9':
+                this.routePower('weapons');
+                break;
+            case '0':
+                if (this.state === 'playing') {
+                    this.ship.power.setPreset(0);
+                }
                 break;
         }
     }
@@ -6,9 +6,17 @@
  * to control the spaceship.
  */
 
+import { DEFAULT_CALIBRATION } from './input/calibration.js';
+import { analyzeHand } from './input/handAnalysis.js';
+import { HandInferenceWorker } from './input/handInference.js';
+import { GestureBindings, HAND_ROLES, ONE_SHOT_ACTIONS } from './input/gestureBindings.js';
+import { MotionTracker, MOTIONS } from './input/motionTracker.js';
+
 export class HandTracker {
     constructor() {
         this.hands = null;
+        this.inference = null; // Worker inference (falls back to this.hands)
+        this.useWorker = true;
         this.camera = null;
         this.video = null;
         this.canvas = null;
@@ -22,6 +30,8 @@ export class HandTracker {
         this.currentGesture = 'IDLE';
         this.previousGesture = 'IDLE';
         this.gestureConfidence = 0;
+        this.detectionScore = 0; // Mean handedness score of visible hands
+        this.secondaryFire = false; // Secondary trigger held, whatever the gesture
 
         // Smoothing - INCREASED for smoother but responsive controls
         this.smoothingFactor = 0.5; // Higher = more responsive
@@ -29,18 +39,67 @@ export class HandTracker {
         this.smoothAimPosition = { x: 0.5, y: 0.5 };
 
         // Gesture thresholds - RELAXED for easier control
+        // (overridden per player by a calibration profile)
         this.pinchThreshold = 0.12;  // Easier to trigger pinch
-        this.fistThreshold = 0.18;   // Easier to detect fist
-        this.openPalmThreshold = 0.15; // Easier to detect open palm
+        this.fistThreshold = 0.8;    // Max fingertip-to-palm distance for a fist
+        this.openPalmThreshold = 1.0; // Min fingertip-to-palm distance for open palm
+
+        // Two-hand distance cutoffs (normalized frame width)
+        this.barrelRollDistance = 0.4; // Hands further apart than this
+        this.boostDistance = 0.3;      // Open palms closer than this
+        this.shieldDistance = 0.2;     // Fists closer than this
+
+        // Analog controls (primary hand)
+        this.throttleSource = 'openness'; // 'openness' (palm curl) or 'depth' (hand distance to camera)
+        this.throttleDepthFar = 0.1;      // Palm size at zero throttle
+        this.throttleDepthNear = 0.22;    // Palm size at full throttle
+        this.maxTiltAngle = Math.PI / 4;  // Wrist tilt for full roll
+        this.rollDeadzone = 0.1;
+        this.analogSmoothing = 0.3;
+        this.throttle = 0; // 0-1
+        this.roll = 0;     // -1 (left) to 1 (right)
+
+        // Motion gestures from palm history (swipe, flick, push, pull)
+        this.motion = new MotionTracker();
+
+        // Pose -> action table (see input/gestureBindings.js)
+        this.bindings = new GestureBindings();
+        this.spentActions = new Set(); // One-shots triggered and still held
 
         // Gesture stability (prevents flickering)
-        this.gestureHoldTime = 0;
+        this.gestureHoldTime = 0;       // ms the current gesture has been held
         this.gestureHoldThreshold = 50; // ms to hold gesture before changing
+        this.gestureHoldTimes = {       // per-gesture overrides (ms)
+            'IDLE': 100,
+            'FIRE_PRIMARY': 30,
+            'FIRE_SECONDARY': 30,
+            'BARREL_ROLL': 120,
+            'BOOST': 100,
+            'SHIELD': 120,
+            'IMMELMANN': 30,
+            'BOOST_DASH': 30,
+            'WEAPON_NEXT': 30,
+            'WEAPON_PREV': 30,
+            'GADGET_SHROUD': 200,
+            'GADGET_EMP': 200,
+            'GADGET_DECOY': 200,
+            'ABILITY': 200,
+            'POWER_CYCLE': 30
+        };
+        this.hysteresis = 0.25; // Exit thresholds are 25% looser than enter
+        this.gestureStartTime = 0;
+        this.pendingGesture = null;
+        this.pendingSince = 0;
 
         // Callbacks
         this.onGestureChange = null;
         this.onHandUpdate = null;
 
+        // Session recording / playback (see input/landmarkRecorder.js)
+        this.recorder = null;
+        this.isPlayingBack = false;
+        this.lastFrameTime = 0;
+
         // State
         this.isInitialized = false;
         this.isRunning = false;
@@ -51,14 +110,35 @@ export class HandTracker {
      */
     async initialize(videoElement, canvasElement) {
         this.video = videoElement;
-        this.canvas = canvasElement;
-        this.ctx = canvasElement.getContext('2d');
+        this.attachCanvas(canvasElement);
 
-        // Set canvas size to match video
-        this.canvas.width = 200;
-        this.canvas.height = 150;
+        // Prefer off-main-thread inference
+        if (this.useWorker && HandInferenceWorker.isSupported()) {
+            const inference = new HandInferenceWorker();
+
+            if (await inference.initialize()) {
+                inference.onResult = (hands, timestamp) =>
+                    this.processAnalyzedHands(hands, timestamp, this.video);
+                inference.onFailure = () => this.fallBackToMainThread();
+                inference.setCalibration(this.getCalibration());
+                this.inference = inference;
+
+                this.isInitialized = true;
+                console.log('🖐️ Hand tracking initialized (worker)');
+                return;
+            }
+
+            console.warn('Falling back to main-thread hand tracking');
+        }
+
+        this.initializeMainThread();
+        console.log('🖐️ Hand tracking initialized');
+    }
 
-        // Initialize MediaPipe Hands
+    /**
+     * Set up MediaPipe Hands on the main thread
+     */
+    initializeMainThread() {
         this.hands = new Hands({
             locateFile: (file) => {
                 return `https://cdn.jsdelivr.net/npm/@mediapipe/hands@0.4.1675469240/${file}`;
@@ -75,7 +155,57 @@ export class HandTracker {
         this.hands.onResults((results) => this.processResults(results));
 
         this.isInitialized = true;
-        console.log('🖐️ Hand tracking initialized');
+    }
+
+    /**
+     * Switch to main-thread inference when the worker dies mid-session.
+     * The camera loop picks up the new path on its next frame.
+     */
+    fallBackToMainThread() {
+        if (!this.inference) return;
+
+        this.inference = null;
+        console.warn('Hand inference worker lost - falling back to main-thread hand tracking');
+        this.initializeMainThread();
+    }
+
+    /**
+     * Attach the debug overlay canvas
+     */
+    attachCanvas(canvasElement) {
+        this.canvas = canvasElement;
+        this.ctx = canvasElement.getContext('2d');
+
+        // Set canvas size to match video
+        this.canvas.width = 200;
+        this.canvas.height = 150;
+    }
+
+    /**
+     * Apply a calibration profile's thresholds
+     */
+    applyCalibration(profile) {
+        for (const key of Object.keys(DEFAULT_CALIBRATION)) {
+            if (typeof profile[key] === 'number') {
+                this[key] = profile[key];
+            }
+        }
+
+        // Keep the worker's hand analysis in sync
+        if (this.inference) {
+            this.inference.setCalibration(this.getCalibration());
+        }
+    }
+
+    /**
+     * Get the thresholds currently in use
+     */
+    getCalibration() {
+        const profile = {};
+        for (const key of Object.keys(DEFAULT_CALIBRATION)) {
+            profile[key] = this[key];
+        }
+        return profile;
     }
 
     /**
@@ -103,7 +233,12 @@ export class HandTracker {
             // Initialize MediaPipe camera
             this.camera = new Camera(this.video, {
                 onFrame: async () => {
-                    if (this.isRunning) {
+                    // Recorded sessions replace the live feed while playing
+                    if (!this.isRunning || this.isPlayingBack) return;
+
+                    if (this.inference) {
+                        await this.inference.sendFrame(this.video);
+                    } else {
                         await this.hands.send({ image: this.video });
                     }
                 },
@@ -134,54 +269,112 @@ export class HandTracker {
         if (this.video && this.video.srcObject) {
             this.video.srcObject.getTracks().forEach(track => track.stop());
         }
+        this.leftHand = null;
+        this.rightHand = null;
         console.log('🛑 Hand tracking stopped');
     }
 
     /**
-     * Process MediaPipe results
+     * Get worker inference latency metrics (null on the main-thread path)
      */
-    processResults(results) {
-        // Clear canvas
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-
-        // Draw video frame (mirrored)
-        this.ctx.save();
-        this.ctx.scale(-1, 1);
-        this.ctx.drawImage(
-            results.image,
-            -this.canvas.width, 0,
-            this.canvas.width, this.canvas.height
-        );
-        this.ctx.restore();
+    getInferenceMetrics() {
+        return this.inference ? this.inference.getMetrics() : null;
+    }
 
-        // Reset hand data
-        this.leftHand = null;
-        this.rightHand = null;
+    /**
+     * Check if a camera or recorded session is feeding frames
+     */
+    isTracking() {
+        return this.isRunning || this.isPlayingBack;
+    }
+
+    /**
+     * Process MediaPipe results
+     */
+    processResults(results, timestamp = performance.now()) {
+        const hands = [];
 
         if (results.multiHandLandmarks && results.multiHandedness) {
             for (let i = 0; i < results.multiHandLandmarks.length; i++) {
-                const landmarks = results.multiHandLandmarks[i];
                 const handedness = results.multiHandedness[i];
 
-                // Draw landmarks
-                this.drawHandLandmarks(landmarks);
+                hands.push({
+                    label: handedness.label,
+                    score: handedness.score,
+                    data: this.analyzeHand(results.multiHandLandmarks[i])
+                });
+            }
+        }
 
-                // Classify hand (MediaPipe returns opposite handedness for mirrored view)
-                const isRightHand = handedness.label === 'Left';
+        this.processAnalyzedHands(hands, timestamp, results.image);
+    }
 
-                const handData = this.analyzeHand(landmarks);
+    /**
+     * Apply analyzed hands - from processResults() or the inference worker
+     */
+    processAnalyzedHands(hands, timestamp = performance.now(), image = null) {
+        this.lastFrameTime = timestamp;
+
+        if (this.recorder && this.recorder.isRecording) {
+            this.recorder.record({
+                multiHandLandmarks: hands.map(hand => hand.data.landmarks),
+                multiHandedness: hands.map((hand, index) => ({ index, score: hand.score, label: hand.label }))
+            }, timestamp);
+        }
 
-                if (isRightHand) {
-                    this.rightHand = handData;
-                } else {
-                    this.leftHand = handData;
-                }
+        if (this.ctx) {
+            // Clear canvas
+            this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+
+            // Draw video frame (mirrored) - recorded sessions have no image
+            if (image) {
+                this.ctx.save();
+                this.ctx.scale(-1, 1);
+                this.ctx.drawImage(
+                    image,
+                    -this.canvas.width, 0,
+                    this.canvas.width, this.canvas.height
+                );
+                this.ctx.restore();
             }
         }
 
+        // Reset hand data
+        this.leftHand = null;
+        this.rightHand = null;
+        this.detectionScore = hands.length > 0
+            ? hands.reduce((sum, hand) => sum + hand.score, 0) / hands.length
+            : 0;
+
+        for (const hand of hands) {
+            // Draw landmarks
+            if (this.ctx) {
+                this.drawHandLandmarks(hand.data.landmarks);
+            }
+
+            // Classify hand (MediaPipe returns opposite handedness for mirrored view)
+            const isRightHand = hand.label === 'Left';
+
+            if (isRightHand) {
+                this.rightHand = hand.data;
+            } else {
+                this.leftHand = hand.data;
+            }
+        }
+
+        this.motion.update(timestamp, this.leftHand, this.rightHand);
+
+        // Worker latency readout on the debug overlay
+        if (this.ctx && this.inference) {
+            this.drawInferenceMetrics(this.inference.metrics);
+        }
+
         // Detect gesture
         this.detectGesture();
 
+        // Continuous throttle / roll
+        this.updateAnalogControls();
+
         // Update aim position based on right hand
         this.updateAimPosition();
 
@@ -191,6 +384,7 @@ export class HandTracker {
                 leftHand: this.leftHand,
                 rightHand: this.rightHand,
                 gesture: this.currentGesture,
+                confidence: this.gestureConfidence,
                 aimPosition: this.smoothAimPosition
             });
         }
@@ -245,184 +439,229 @@ export class HandTracker {
     }
 
     /**
-     * Analyze hand landmarks to extract features
+     * Draw worker latency metrics on debug canvas
+     */
+    drawInferenceMetrics(metrics) {
+        this.ctx.font = '10px monospace';
+        this.ctx.fillStyle = '#00f0ff';
+        this.ctx.fillText(
+            `${Math.round(metrics.latency)}ms  ${Math.round(metrics.fps)}fps  skip ${metrics.frameSkip}`,
+            4, this.canvas.height - 4
+        );
+    }
+
+    /**
+     * Analyze hand landmarks with the current thresholds
      */
     analyzeHand(landmarks) {
-        // Key landmarks
-        const wrist = landmarks[0];
-        const thumbTip = landmarks[4];
-        const indexTip = landmarks[8];
-        const middleTip = landmarks[12];
-        const ringTip = landmarks[16];
-        const pinkyTip = landmarks[20];
-
-        const thumbMcp = landmarks[2];
-        const indexMcp = landmarks[5];
-        const middleMcp = landmarks[9];
-        const ringMcp = landmarks[13];
-        const pinkyMcp = landmarks[17];
-
-        const indexPip = landmarks[6];
-        const middlePip = landmarks[10];
-        const ringPip = landmarks[14];
-        const pinkyPip = landmarks[18];
-
-        // Calculate distances
-        const palmSize = this.distance3D(wrist, middleMcp);
-
-        // Pinch detection (thumb to index)
-        const pinchDistance = this.distance3D(thumbTip, indexTip) / palmSize;
-        const isPinching = pinchDistance < this.pinchThreshold;
-
-        // Finger extension detection
-        const indexExtended = this.isFingerExtended(indexMcp, indexPip, indexTip);
-        const middleExtended = this.isFingerExtended(middleMcp, middlePip, middleTip);
-        const ringExtended = this.isFingerExtended(ringMcp, ringPip, ringTip);
-        const pinkyExtended = this.isFingerExtended(pinkyMcp, pinkyPip, pinkyTip);
-        const thumbExtended = thumbTip.x < thumbMcp.x; // Simplified thumb detection
-
-        // Count extended fingers
-        const extendedFingers = [indexExtended, middleExtended, ringExtended, pinkyExtended]
-            .filter(Boolean).length;
-
-        // Fist detection (all fingers curled)
-        const isFist = extendedFingers === 0 && !thumbExtended;
-
-        // Open palm detection (all fingers extended)
-        const isOpenPalm = extendedFingers >= 3 && thumbExtended;
-
-        // Pointing detection (only index extended)
-        const isPointing = indexExtended && !middleExtended && !ringExtended && !pinkyExtended;
-
-        // Calculate palm center
-        const palmCenter = {
-            x: (wrist.x + indexMcp.x + pinkyMcp.x) / 3,
-            y: (wrist.y + indexMcp.y + pinkyMcp.y) / 3,
-            z: (wrist.z + indexMcp.z + pinkyMcp.z) / 3
-        };
+        return analyzeHand(landmarks, this);
+    }
 
-        // Calculate pointing direction
-        const pointDirection = {
-            x: indexTip.x - indexMcp.x,
-            y: indexTip.y - indexMcp.y
-        };
+    /**
+     * Replace the pose -> action binding table
+     */
+    setBindings(bindings) {
+        this.bindings = bindings;
+        this.pendingGesture = null;
+        this.spentActions.clear();
+    }
 
-        return {
-            landmarks,
-            palmCenter,
-            palmSize,
-            pinchDistance,
-            isPinching,
-            isFist,
-            isOpenPalm,
-            isPointing,
-            indexExtended,
-            middleExtended,
-            ringExtended,
-            pinkyExtended,
-            thumbExtended,
-            extendedFingers,
-            pointDirection,
-            indexTip: { x: indexTip.x, y: indexTip.y }
-        };
+    /**
+     * Get the hand playing a binding role ('primary' / 'secondary')
+     */
+    getHand(role) {
+        return this.bindings.resolveHand(role) === 'right' ? this.rightHand : this.leftHand;
     }
 
     /**
-     * Check if a finger is extended
+     * Horizontal distance between palm centers (null unless both hands visible)
      */
-    isFingerExtended(mcp, pip, tip) {
-        // Finger is extended if tip is further from palm than pip
-        const mcpToTip = this.distance2D(mcp, tip);
-        const mcpToPip = this.distance2D(mcp, pip);
-        return mcpToTip > mcpToPip * 1.2;
+    getHandDistance() {
+        if (!this.leftHand || !this.rightHand) return null;
+        return Math.abs(this.leftHand.palmCenter.x - this.rightHand.palmCenter.x);
     }
 
     /**
-     * Calculate 2D distance
+     * Map a metric to a 0-1 match strength around its threshold:
+     * 0.5 at the threshold (enter), 0 at the hysteresis exit bound
      */
-    distance2D(a, b) {
-        return Math.sqrt((a.x - b.x) ** 2 + (a.y - b.y) ** 2);
+    matchStrength(value, threshold, below = true) {
+        const band = threshold * this.hysteresis;
+        const margin = below ? threshold - value : value - threshold;
+        return Math.max(0, Math.min(1, 0.5 + 0.5 * margin / band));
     }
 
     /**
-     * Calculate 3D distance
+     * Pinch match strength for a hand
      */
-    distance3D(a, b) {
-        return Math.sqrt((a.x - b.x) ** 2 + (a.y - b.y) ** 2 + (a.z - b.z) ** 2);
+    pinchStrength(hand) {
+        return this.matchStrength(hand.pinchDistance, this.pinchThreshold);
     }
 
     /**
-     * Detect current gesture from hand data
+     * Fist match strength (relaxed tolerates one stray finger)
      */
-    detectGesture() {
-        this.previousGesture = this.currentGesture;
+    fistStrength(hand, relaxed = false) {
+        if (hand.extendedFingers > (relaxed ? 1 : 0) || hand.thumbExtended || hand.isThumbsUp) return 0;
+        return this.matchStrength(hand.fingertipDistance, this.fistThreshold);
+    }
 
-        // Priority-based gesture detection
+    /**
+     * Open palm match strength (relaxed tolerates one curled finger)
+     */
+    openPalmStrength(hand, relaxed = false) {
+        if (hand.extendedFingers < (relaxed ? 2 : 3) || !hand.thumbExtended) return 0;
+        return this.matchStrength(hand.fingertipDistance, this.openPalmThreshold, false);
+    }
 
-        // 1. Two-hand gestures (highest priority)
-        if (this.leftHand && this.rightHand) {
-            // Barrel Roll: Both hands spread apart
-            const handDistance = Math.abs(this.leftHand.palmCenter.x - this.rightHand.palmCenter.x);
-            if (handDistance > 0.4 && this.leftHand.isOpenPalm && this.rightHand.isOpenPalm) {
-                this.currentGesture = 'BARREL_ROLL';
-                return;
-            }
+    /**
+     * Single-hand pose match strength
+     */
+    poseStrength(hand, pose, relaxed = false) {
+        if (!hand) return 0;
+
+        switch (pose) {
+            case 'OPEN_PALM': return this.openPalmStrength(hand, relaxed);
+            case 'FIST': return this.fistStrength(hand, relaxed);
+            case 'PINCH': return this.pinchStrength(hand);
+            case 'POINT': return hand.isPointing ? 1 : 0;
+            case 'PEACE': return hand.isPeace ? 1 : 0;
+            case 'THREE_FINGERS': return hand.isThreeFingers ? 1 : 0;
+            case 'THUMBS_UP': return hand.isThumbsUp ? 1 : 0;
+            default: return MOTIONS.includes(pose) && hand.motion === pose ? 1 : 0;
+        }
+    }
 
-            // Boost: Both hands pushing forward (palms facing camera, close together)
-            if (handDistance < 0.3 && this.leftHand.isOpenPalm && this.rightHand.isOpenPalm) {
-                this.currentGesture = 'BOOST';
-                return;
+    /**
+     * Two-hand combination match strength
+     */
+    comboStrength(pose, relaxed = false) {
+        const left = this.leftHand;
+        const right = this.rightHand;
+        if (!left || !right) return 0;
+
+        const handDistance = this.getHandDistance();
+
+        switch (pose) {
+            // Both hands spread apart
+            case 'PALMS_APART': return Math.min(
+                this.openPalmStrength(left, relaxed),
+                this.openPalmStrength(right, relaxed),
+                this.matchStrength(handDistance, this.barrelRollDistance, false)
+            );
+            // Palms facing camera, close together
+            case 'PALMS_TOGETHER': return Math.min(
+                this.openPalmStrength(left, relaxed),
+                this.openPalmStrength(right, relaxed),
+                this.matchStrength(handDistance, this.boostDistance)
+            );
+            // Both hands pushing forward with palms together; once
+            // active it holds while the palms stay together
+            case 'PUSH_FORWARD': {
+                const pushing = relaxed || (left.motion === 'PUSH' && right.motion === 'PUSH');
+                return pushing ? this.comboStrength('PALMS_TOGETHER', relaxed) : 0;
             }
+            // Cupped hands (both fists close together)
+            case 'FISTS_TOGETHER': return Math.min(
+                this.fistStrength(left, relaxed),
+                this.fistStrength(right, relaxed),
+                this.matchStrength(handDistance, this.shieldDistance)
+            );
+            default: return 0;
+        }
+    }
 
-            // Shield: Cupped hands (both fists close together)
-            if (handDistance < 0.2 && this.leftHand.isFist && this.rightHand.isFist) {
-                this.currentGesture = 'SHIELD';
-                return;
+    /**
+     * Classify the raw gesture for this frame. The active gesture is
+     * tested against its looser exit thresholds (hysteresis).
+     */
+    classifyGesture(activeGesture = this.currentGesture) {
+        // Bindings are already in priority order
+        for (const binding of this.bindings.getPriorityList()) {
+            // Spent one-shots fall through to the next binding
+            if (this.spentActions.has(binding.action)) continue;
+
+            const relaxed = binding.action === activeGesture;
+            const strength = binding.hand === HAND_ROLES.BOTH
+                ? this.comboStrength(binding.pose, relaxed)
+                : this.poseStrength(this.getHand(binding.hand), binding.pose, relaxed);
+
+            if (relaxed ? strength > 0 : strength >= 0.5) {
+                return { gesture: binding.action, confidence: strength };
             }
         }
 
-        // 2. Right hand gestures (primary control)
-        if (this.rightHand) {
-            // Fire: Pinch gesture
-            if (this.rightHand.isPinching) {
-                this.currentGesture = 'FIRE_PRIMARY';
-                return;
-            }
+        // Default: IDLE - certain when no hands are visible
+        return { gesture: 'IDLE', confidence: this.hasHands() ? 0.5 : 1 };
+    }
 
-            // Brake: Fist
-            if (this.rightHand.isFist) {
-                this.currentGesture = 'BRAKE';
-                return;
-            }
+    /**
+     * Check if the pose bound to an action is held, regardless of
+     * which gesture wins the priority order
+     */
+    isBindingHeld(action, relaxed = false) {
+        const binding = this.bindings.getBinding(action);
+        if (!binding) return false;
 
-            // Thrust: Open palm
-            if (this.rightHand.isOpenPalm) {
-                this.currentGesture = 'THRUST';
-                return;
-            }
+        const strength = binding.hand === HAND_ROLES.BOTH
+            ? this.comboStrength(binding.pose, relaxed)
+            : this.poseStrength(this.getHand(binding.hand), binding.pose, relaxed);
 
-            // Aim: Pointing
-            if (this.rightHand.isPointing) {
-                this.currentGesture = 'AIM';
-                return;
-            }
+        return relaxed ? strength > 0 : strength >= 0.5;
+    }
+
+    /**
+     * Detect current gesture from hand data. A new gesture must be
+     * held for its hold time before it replaces the current one.
+     */
+    detectGesture() {
+        const now = this.lastFrameTime;
+
+        // Spent one-shots re-arm once their pose is let go
+        for (const action of this.spentActions) {
+            if (!this.isBindingHeld(action, true)) this.spentActions.delete(action);
         }
 
-        // 3. Left hand gestures (secondary control)
-        if (this.leftHand) {
-            // Fire secondary weapon
-            if (this.leftHand.isPinching) {
-                this.currentGesture = 'FIRE_SECONDARY';
-                return;
-            }
+        const { gesture, confidence } = this.classifyGesture();
+
+        // The off-hand trigger fires alongside any other gesture
+        this.secondaryFire = this.isBindingHeld('FIRE_SECONDARY', this.secondaryFire);
+
+        if (gesture === this.currentGesture) {
+            this.pendingGesture = null;
+            this.gestureConfidence = confidence;
+            this.gestureHoldTime = now - this.gestureStartTime;
+            return;
         }
 
-        // Default: IDLE
-        this.currentGesture = 'IDLE';
+        // Start timing a new candidate
+        if (gesture !== this.pendingGesture) {
+            this.pendingGesture = gesture;
+            this.pendingSince = now;
+        }
+
+        const holdTime = gesture in this.gestureHoldTimes
+            ? this.gestureHoldTimes[gesture]
+            : this.gestureHoldThreshold;
+
+        if (now - this.pendingSince < holdTime) return;
+
+        // Commit the transition
+        this.previousGesture = this.currentGesture;
+        this.currentGesture = gesture;
+        this.gestureConfidence = confidence;
+        this.gestureStartTime = this.pendingSince;
+        this.gestureHoldTime = now - this.pendingSince;
+        this.pendingGesture = null;
+
+        // One-shots act on this transition only
+        if (ONE_SHOT_ACTIONS.includes(gesture)) {
+            this.spentActions.add(gesture);
+        }
 
         // Notify on gesture change
-        if (this.currentGesture !== this.previousGesture && this.onGestureChange) {
-            this.onGestureChange(this.currentGesture, this.previousGesture);
+        if (this.onGestureChange) {
+            this.onGestureChange(this.currentGesture, this.previousGesture, this.gestureConfidence);
         }
     }
 
@@ -430,15 +669,17 @@ export class HandTracker {
      * Update aim position based on hand position
      */
     updateAimPosition() {
-        if (this.rightHand) {
+        const aimHand = this.getHand(HAND_ROLES.PRIMARY);
+
+        if (aimHand) {
             // Use palm center for aiming
-            const targetX = 1 - this.rightHand.palmCenter.x; // Mirror
-            const targetY = this.rightHand.palmCenter.y;
+            const targetX = 1 - aimHand.palmCenter.x; // Mirror
+            const targetY = aimHand.palmCenter.y;
 
             // If pointing, use index finger tip instead
-            if (this.rightHand.isPointing) {
-                this.aimPosition.x = 1 - this.rightHand.indexTip.x;
-                this.aimPosition.y = this.rightHand.indexTip.y;
+            if (aimHand.isPointing) {
+                this.aimPosition.x = 1 - aimHand.indexTip.x;
+                this.aimPosition.y = aimHand.indexTip.y;
             } else {
                 this.aimPosition.x = targetX;
                 this.aimPosition.y = targetY;
@@ -454,6 +695,35 @@ export class HandTracker {
         this.smoothAimPosition.y = Math.max(0, Math.min(1, this.smoothAimPosition.y));
     }
 
+    /**
+     * Derive smoothed throttle and roll from the primary hand
+     */
+    updateAnalogControls() {
+        const hand = this.getHand(HAND_ROLES.PRIMARY);
+        if (!hand) return;
+
+        // Throttle - palm curl holds its last value while the hand
+        // is pinching or pointing, so firing doesn't change speed
+        let throttle = this.throttle;
+        if (this.throttleSource === 'depth') {
+            throttle = (hand.palmSize - this.throttleDepthFar) /
+                (this.throttleDepthNear - this.throttleDepthFar);
+        } else if (!hand.isPointing && this.pinchStrength(hand) < 0.5) {
+            throttle = (hand.fingertipDistance - this.fistThreshold) /
+                (this.openPalmThreshold - this.fistThreshold);
+        }
+        throttle = Math.max(0, Math.min(1, throttle));
+
+        // Roll - wrist tilt with a small deadzone
+        let roll = Math.max(-1, Math.min(1, hand.tilt / this.maxTiltAngle));
+        roll = Math.abs(roll) < this.rollDeadzone
+            ? 0
+            : Math.sign(roll) * (Math.abs(roll) - this.rollDeadzone) / (1 - this.rollDeadzone);
+
+        this.throttle += (throttle - this.throttle) * this.analogSmoothing;
+        this.roll += (roll - this.roll) * this.analogSmoothing;
+    }
+
     /**
      * Get gesture icon for display
      */
@@ -467,7 +737,16 @@ export class HandTracker {
             'FIRE_SECONDARY': '🤏',
             'BARREL_ROLL': '🙌',
             'BOOST': '👐',
-            'SHIELD': '🛡️'
+            'SHIELD': '🛡️',
+            'IMMELMANN': '↩️',
+            'BOOST_DASH': '💨',
+            'WEAPON_NEXT': '👉',
+            'WEAPON_PREV': '👈',
+            'GADGET_SHROUD': '🌫️',
+            'GADGET_EMP': '💥',
+            'GADGET_DECOY': '👻',
+            'ABILITY': '⭐',
+            'POWER_CYCLE': '⚡'
         };
         return icons[gesture] || '❓';
     }
@@ -485,7 +764,16 @@ export class HandTracker {
             'FIRE_SECONDARY': 'SECONDARY',
             'BARREL_ROLL': 'BARREL ROLL',
             'BOOST': 'BOOSTING',
-            'SHIELD': 'SHIELD UP'
+            'SHIELD': 'SHIELD UP',
+            'IMMELMANN': 'IMMELMANN',
+            'BOOST_DASH': 'BOOST DASH',
+            'WEAPON_NEXT': 'NEXT WEAPON',
+            'WEAPON_PREV': 'PREV WEAPON',
+            'GADGET_SHROUD': 'SHROUD',
+            'GADGET_EMP': 'EMP',
+            'GADGET_DECOY': 'DECOY',
+            'ABILITY': 'SHIP ABILITY',
+            'POWER_CYCLE': 'POWER ROUTING'
         };
         return names[gesture] || 'UNKNOWN';
     }
@@ -0,0 +1,222 @@
+/**
+ * AETHELGARD: EVENT HORIZON
+ * Gesture Calibration Module
+ *
+ * Learns per-player HandTracker thresholds from landmark statistics
+ * gathered while the player holds each reference pose, and persists
+ * the resulting profile in localStorage.
+ */
+
+// Thresholds used when no calibration profile exists.
+// Hand features are normalized by palm size; hand distances are in
+// normalized camera-frame units.
+export const DEFAULT_CALIBRATION = {
+    pinchThreshold: 0.12,
+    fistThreshold: 0.8,
+    openPalmThreshold: 1.0,
+    barrelRollDistance: 0.4,
+    boostDistance: 0.3,
+    shieldDistance: 0.2
+};
+
+// Reference poses the player is asked to hold, in wizard order
+export const CALIBRATION_POSES = [
+    {
+        id: 'OPEN_PALM',
+        hands: 'primary',
+        icon: '🖐️',
+        title: 'OPEN PALM',
+        instruction: 'Hold your aiming hand open with fingers spread, facing the camera'
+    },
+    {
+        id: 'FIST',
+        hands: 'primary',
+        icon: '✊',
+        title: 'FIST',
+        instruction: 'Clench your aiming hand into a fist'
+    },
+    {
+        id: 'PINCH',
+        hands: 'primary',
+        icon: '🤏',
+        title: 'PINCH',
+        instruction: 'Touch the thumb and index fingertips of your aiming hand together'
+    },
+    {
+        id: 'HANDS_APART',
+        hands: 'both',
+        icon: '🙌',
+        title: 'HANDS APART',
+        instruction: 'Hold both open hands as far apart as is comfortable'
+    },
+    {
+        id: 'HANDS_TOGETHER',
+        hands: 'both',
+        icon: '👐',
+        title: 'PALMS TOGETHER',
+        instruction: 'Hold both open palms close together in front of you'
+    },
+    {
+        id: 'FISTS_TOGETHER',
+        hands: 'both',
+        icon: '🛡️',
+        title: 'FISTS TOGETHER',
+        instruction: 'Hold both fists close together in front of you'
+    }
+];
+
+const STORAGE_KEY = 'aethelgard.calibration';
+
+export class GestureCalibration {
+    constructor() {
+        // Samples collected per pose id
+        this.samples = {};
+    }
+
+    /**
+     * Discard all collected samples
+     */
+    reset() {
+        this.samples = {};
+    }
+
+    /**
+     * Record hand features for a pose; returns false if the
+     * required hands are not visible. Single-hand features come from
+     * the primary (aiming) hand, so left-handed players calibrate the
+     * hand they actually fly with.
+     */
+    addSample(poseId, primaryHand, secondaryHand, handDistance) {
+        const pose = CALIBRATION_POSES.find(p => p.id === poseId);
+        if (!pose || !primaryHand) return false;
+        if (pose.hands === 'both' && !secondaryHand) return false;
+
+        if (!this.samples[poseId]) {
+            this.samples[poseId] = [];
+        }
+
+        this.samples[poseId].push({
+            pinchDistance: primaryHand.pinchDistance,
+            fingertipDistance: primaryHand.fingertipDistance,
+            handDistance: pose.hands === 'both' ? handDistance : null
+        });
+
+        return true;
+    }
+
+    /**
+     * Get number of samples collected for a pose
+     */
+    getSampleCount(poseId) {
+        return this.samples[poseId] ? this.samples[poseId].length : 0;
+    }
+
+    /**
+     * Get a percentile of one feature across a pose's samples
+     */
+    getPercentile(poseId, feature, p) {
+        const values = (this.samples[poseId] || [])
+            .map(s => s[feature])
+            .filter(v => typeof v === 'number')
+            .sort((a, b) => a - b);
+
+        if (values.length === 0) return null;
+
+        const index = Math.min(values.length - 1, Math.floor(p * values.length));
+        return values[index];
+    }
+
+    /**
+     * Derive thresholds from collected samples. Poses without
+     * samples keep their default thresholds.
+     */
+    computeProfile() {
+        const profile = { ...DEFAULT_CALIBRATION };
+
+        // Pinch: between the loosest pinch and the tightest open hand
+        const pinchMax = this.getPercentile('PINCH', 'pinchDistance', 0.9);
+        const openPinchMin = this.getPercentile('OPEN_PALM', 'pinchDistance', 0.1);
+        if (pinchMax !== null) {
+            profile.pinchThreshold = openPinchMin !== null && openPinchMin > pinchMax
+                ? (pinchMax + openPinchMin) / 2
+                : pinchMax * 1.1;
+        }
+
+        // Fist / open palm: split the gap between the two curl ranges,
+        // leaving the middle third as a dead band
+        const fistMax = this.getPercentile('FIST', 'fingertipDistance', 0.9);
+        const openMin = this.getPercentile('OPEN_PALM', 'fingertipDistance', 0.1);
+        if (fistMax !== null && openMin !== null) {
+            if (openMin > fistMax) {
+                const gap = openMin - fistMax;
+                profile.fistThreshold = fistMax + gap / 3;
+                profile.openPalmThreshold = openMin - gap / 3;
+            } else {
+                const middle = (fistMax + openMin) / 2;
+                profile.fistThreshold = middle;
+                profile.openPalmThreshold = middle;
+            }
+        }
+
+        // Two-hand distances
+        const apartMin = this.getPercentile('HANDS_APART', 'handDistance', 0.1);
+        const togetherMax = this.getPercentile('HANDS_TOGETHER', 'handDistance', 0.9);
+        const fistsMax = this.getPercentile('FISTS_TOGETHER', 'handDistance', 0.9);
+
+        if (apartMin !== null && togetherMax !== null && apartMin > togetherMax) {
+            profile.barrelRollDistance = (apartMin + togetherMax) / 2;
+        }
+        if (togetherMax !== null) {
+            profile.boostDistance = Math.min(togetherMax * 1.2, profile.barrelRollDistance);
+        }
+        if (fistsMax !== null) {
+            profile.shieldDistance = fistsMax * 1.2;
+        }
+
+        return profile;
+    }
+
+    /**
+     * Load the saved profile, or null if none
+     */
+    static load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (!saved) return null;
+
+            // Only accept known numeric thresholds
+            const profile = { ...DEFAULT_CALIBRATION };
+            for (const key of Object.keys(DEFAULT_CALIBRATION)) {
+                if (typeof saved[key] === 'number') {
+                    profile[key] = saved[key];
+                }
+            }
+            return profile;
+        } catch (e) {
+            console.warn('Calibration profile unreadable, using defaults');
+            return null;
+        }
+    }
+
+    /**
+     * Persist a profile
+     */
+    static save(profile) {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(profile));
+        } catch (e) {
+            console.warn('Could not save calibration profile');
+        }
+    }
+
+    /**
+     * Remove the saved profile
+     */
+    static clear() {
+        try {
+            localStorage.removeItem(STORAGE_KEY);
+        } catch (e) { }
+    }
+}
+
+export default GestureCalibration;
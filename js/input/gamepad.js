@@ -0,0 +1,148 @@
+/**
+ * AETHELGARD: EVENT HORIZON
+ * Gamepad Input Module
+ *
+ * Polls the Gamepad API (standard mapping) and translates
+ * sticks and buttons into the HandTracker gesture vocabulary.
+ */
+
+// Standard-mapping buttons mapped to gestures, in HandTracker priority order
+const BUTTON_GESTURES = [
+    { gesture: 'BARREL_ROLL', button: 4 },   // LB
+    { gesture: 'BOOST', button: 5 },         // RB
+    { gesture: 'SHIELD', button: 3 },        // Y
+    { gesture: 'IMMELMANN', button: 11 },    // Right stick click
+    { gesture: 'BOOST_DASH', button: 10 },   // Left stick click
+    { gesture: 'GADGET_SHROUD', button: 12 }, // D-pad up
+    { gesture: 'GADGET_EMP', button: 2 },     // X
+    { gesture: 'GADGET_DECOY', button: 13 },  // D-pad down
+    { gesture: 'ABILITY', button: 8 },        // Back / View
+    { gesture: 'POWER_CYCLE', button: 9 },    // Start / Menu
+    { gesture: 'FIRE_PRIMARY', button: 0 },  // A
+    { gesture: 'BRAKE', button: 6 },         // LT
+    { gesture: 'THRUST', button: 7 },        // RT
+    { gesture: 'FIRE_SECONDARY', button: 1 } // B
+];
+
+// Secondary trigger, also read on its own so both triggers can be held
+const SECONDARY_FIRE = BUTTON_GESTURES.find(binding => binding.gesture === 'FIRE_SECONDARY');
+
+// D-pad left / right roll the ship
+const ROLL_BUTTONS = { left: 14, right: 15 };
+
+export class GamepadInput {
+    constructor() {
+        this.name = 'gamepad';
+
+        // Index of the connected pad in navigator.getGamepads()
+        this.index = null;
+
+        // Thresholds
+        this.deadzone = 0.15;
+        this.triggerThreshold = 0.2;
+
+        // Aim position (0-1 screen coords)
+        this.aimPosition = { x: 0.5, y: 0.5 };
+
+        // Timestamp of the last stick or button input
+        this.lastActivity = 0;
+
+        this.init();
+    }
+
+    init() {
+        window.addEventListener('gamepadconnected', (e) => {
+            if (this.index === null) {
+                this.index = e.gamepad.index;
+                console.log(`🎮 Gamepad connected: ${e.gamepad.id}`);
+            }
+        });
+
+        window.addEventListener('gamepaddisconnected', (e) => {
+            if (e.gamepad.index === this.index) {
+                this.index = null;
+                console.log('🎮 Gamepad disconnected');
+            }
+        });
+    }
+
+    /**
+     * Get the active gamepad snapshot
+     */
+    getGamepad() {
+        if (this.index === null || !navigator.getGamepads) return null;
+        return navigator.getGamepads()[this.index] || null;
+    }
+
+    /**
+     * Check if a gamepad is connected
+     */
+    isAvailable() {
+        return this.getGamepad() !== null;
+    }
+
+    /**
+     * Read current gesture and aim
+     */
+    update(deltaTime) {
+        const pad = this.getGamepad();
+        if (!pad) {
+            return { gesture: 'IDLE', aimPosition: this.aimPosition };
+        }
+
+        // Left stick aims; a centered stick flies straight ahead
+        const stickX = this.applyDeadzone(pad.axes[0] || 0);
+        const stickY = this.applyDeadzone(pad.axes[1] || 0);
+        this.aimPosition.x = 0.5 + stickX * 0.5;
+        this.aimPosition.y = 0.5 + stickY * 0.5;
+
+        // Right stick strafes (push up to rise)
+        const strafe = {
+            x: this.applyDeadzone(pad.axes[2] || 0),
+            y: -this.applyDeadzone(pad.axes[3] || 0)
+        };
+
+        const roll = (this.isPressed(pad.buttons[ROLL_BUTTONS.right]) ? 1 : 0) -
+            (this.isPressed(pad.buttons[ROLL_BUTTONS.left]) ? 1 : 0);
+
+        const gesture = this.detectGesture(pad);
+
+        if (stickX !== 0 || stickY !== 0 || strafe.x !== 0 || strafe.y !== 0 ||
+            roll !== 0 || gesture !== 'IDLE') {
+            this.lastActivity = performance.now();
+        }
+
+        const secondaryFire = this.isPressed(pad.buttons[SECONDARY_FIRE.button]);
+
+        return { gesture, secondaryFire, aimPosition: this.aimPosition, roll, strafe };
+    }
+
+    /**
+     * Resolve pressed buttons to a single gesture
+     */
+    detectGesture(pad) {
+        for (const binding of BUTTON_GESTURES) {
+            if (this.isPressed(pad.buttons[binding.button])) {
+                return binding.gesture;
+            }
+        }
+        return 'IDLE';
+    }
+
+    /**
+     * Check button state (triggers are analog)
+     */
+    isPressed(button) {
+        if (!button) return false;
+        return button.pressed || button.value > this.triggerThreshold;
+    }
+
+    /**
+     * Zero out small stick drift
+     */
+    applyDeadzone(value) {
+        return Math.abs(value) < this.deadzone ? 0 : value;
+    }
+}
+
+export default GamepadInput;
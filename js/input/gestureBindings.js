@@ -0,0 +1,265 @@
+/**
+ * AETHELGARD: EVENT HORIZON
+ * Gesture Bindings Module
+ *
+ * Data-driven table mapping hand poses to ship actions. Bindings
+ * name a hand role rather than a physical hand, so left-handed
+ * players swap every role with a single flag.
+ */
+
+// Hand roles a binding can name
+export const HAND_ROLES = {
+    PRIMARY: 'primary',     // Aiming hand (right hand by default)
+    SECONDARY: 'secondary', // Off hand
+    BOTH: 'both'            // Two-hand combination
+};
+
+// Poses recognized on a single hand
+export const HAND_POSES = {
+    OPEN_PALM: { name: 'OPEN PALM', icon: '🖐️' },
+    FIST: { name: 'FIST', icon: '✊' },
+    PINCH: { name: 'PINCH', icon: '🤏' },
+    POINT: { name: 'POINT', icon: '👆' },
+    PEACE: { name: 'PEACE SIGN', icon: '✌️' },
+    THREE_FINGERS: { name: 'THREE FINGERS', icon: '3️⃣' },
+    THUMBS_UP: { name: 'THUMBS UP', icon: '👍' },
+    SWIPE_LEFT: { name: 'SWIPE LEFT', icon: '👈' },
+    SWIPE_RIGHT: { name: 'SWIPE RIGHT', icon: '👉' },
+    FLICK_UP: { name: 'FLICK UP', icon: '👆' },
+    FLICK_DOWN: { name: 'FLICK DOWN', icon: '👇' },
+    PUSH: { name: 'PUSH', icon: '🫸' },
+    PULL: { name: 'PULL', icon: '🫷' }
+};
+
+// Poses that need both hands
+export const COMBO_POSES = {
+    PALMS_APART: { name: 'PALMS APART', icon: '🙌' },
+    PALMS_TOGETHER: { name: 'PALMS TOGETHER', icon: '👐' },
+    PUSH_FORWARD: { name: 'PUSH FORWARD', icon: '👐' },
+    FISTS_TOGETHER: { name: 'FISTS TOGETHER', icon: '🛡️' }
+};
+
+// Bindable actions. Two-hand bindings always win over one-hand
+// bindings; within each group this order is the priority order.
+// One-shot actions (maneuvers, weapon cycling, gadgets) come before the steady
+// flight poses so the off hand can trigger them mid-flight.
+export const BINDABLE_ACTIONS = [
+    { id: 'BARREL_ROLL', name: 'BARREL ROLL' },
+    { id: 'BOOST', name: 'BOOST' },
+    { id: 'SHIELD', name: 'SHIELD' },
+    { id: 'IMMELMANN', name: 'IMMELMANN' },
+    { id: 'BOOST_DASH', name: 'BOOST DASH' },
+    { id: 'WEAPON_NEXT', name: 'NEXT WEAPON' },
+    { id: 'WEAPON_PREV', name: 'PREVIOUS WEAPON' },
+    { id: 'GADGET_SHROUD', name: 'SHROUD' },
+    { id: 'GADGET_EMP', name: 'EMP' },
+    { id: 'GADGET_DECOY', name: 'DECOY' },
+    { id: 'ABILITY', name: 'SHIP ABILITY' },
+    { id: 'POWER_CYCLE', name: 'POWER ROUTING' },
+    { id: 'FIRE_PRIMARY', name: 'PRIMARY FIRE' },
+    { id: 'BRAKE', name: 'BRAKE' },
+    { id: 'THRUST', name: 'THRUST' },
+    { id: 'AIM', name: 'PRECISION AIM' },
+    { id: 'FIRE_SECONDARY', name: 'SECONDARY FIRE' }
+];
+
+// Actions that act once as their gesture starts. A triggered one-shot
+// stands aside while its pose is still held, so holding a gadget pose
+// on the off hand doesn't lock out the aiming hand's flight and fire.
+export const ONE_SHOT_ACTIONS = [
+    'BARREL_ROLL', 'IMMELMANN', 'BOOST_DASH',
+    'WEAPON_NEXT', 'WEAPON_PREV',
+    'GADGET_SHROUD', 'GADGET_EMP', 'GADGET_DECOY',
+    'ABILITY', 'POWER_CYCLE'
+];
+
+export const DEFAULT_BINDINGS = {
+    BARREL_ROLL: { hand: 'both', pose: 'PALMS_APART' },
+    BOOST: { hand: 'both', pose: 'PUSH_FORWARD' },
+    SHIELD: { hand: 'both', pose: 'FISTS_TOGETHER' },
+    FIRE_PRIMARY: { hand: 'primary', pose: 'PINCH' },
+    BRAKE: { hand: 'primary', pose: 'FIST' },
+    THRUST: { hand: 'primary', pose: 'OPEN_PALM' },
+    AIM: { hand: 'primary', pose: 'POINT' },
+    FIRE_SECONDARY: { hand: 'secondary', pose: 'PINCH' },
+    IMMELMANN: { hand: 'secondary', pose: 'FLICK_UP' },
+    BOOST_DASH: { hand: 'primary', pose: 'PUSH' },
+    WEAPON_NEXT: { hand: 'secondary', pose: 'SWIPE_RIGHT' },
+    WEAPON_PREV: { hand: 'secondary', pose: 'SWIPE_LEFT' },
+    // Gadgets by finger count, matching the HUD slot numbers
+    GADGET_SHROUD: { hand: 'secondary', pose: 'POINT' },
+    GADGET_EMP: { hand: 'secondary', pose: 'PEACE' },
+    GADGET_DECOY: { hand: 'secondary', pose: 'THREE_FINGERS' },
+    ABILITY: { hand: 'secondary', pose: 'THUMBS_UP' },
+    POWER_CYCLE: { hand: 'secondary', pose: 'FLICK_DOWN' }
+};
+
+const STORAGE_KEY = 'aethelgard.bindings';
+
+export class GestureBindings {
+    constructor(bindings = DEFAULT_BINDINGS, leftHanded = false) {
+        this.bindings = {};
+        this.leftHanded = leftHanded;
+
+        for (const action of BINDABLE_ACTIONS) {
+            this.bindings[action.id] = bindings[action.id]
+                ? { ...bindings[action.id] }
+                : null;
+        }
+    }
+
+    /**
+     * Check a trigger names a known hand/pose combination
+     */
+    static isValidTrigger(trigger) {
+        if (!trigger) return false;
+        if (trigger.hand === HAND_ROLES.BOTH) return trigger.pose in COMBO_POSES;
+        return (trigger.hand === HAND_ROLES.PRIMARY || trigger.hand === HAND_ROLES.SECONDARY) &&
+            trigger.pose in HAND_POSES;
+    }
+
+    /**
+     * Get the trigger bound to an action (null if unbound)
+     */
+    getBinding(action) {
+        return this.bindings[action] || null;
+    }
+
+    /**
+     * Bind an action to a trigger, or unbind it with null.
+     * Returns the actions now conflicting with it.
+     */
+    setBinding(action, trigger) {
+        if (!(action in this.bindings)) {
+            throw new Error(`Unknown action: ${action}`);
+        }
+        if (trigger !== null && !GestureBindings.isValidTrigger(trigger)) {
+            throw new Error(`Invalid binding for ${action}`);
+        }
+
+        this.bindings[action] = trigger ? { hand: trigger.hand, pose: trigger.pose } : null;
+
+        return this.getConflicts()
+            .filter(conflict => conflict.actions.includes(action))
+            .flatMap(conflict => conflict.actions)
+            .filter(other => other !== action);
+    }
+
+    /**
+     * Find triggers bound to more than one action
+     */
+    getConflicts() {
+        const byTrigger = {};
+
+        for (const action of BINDABLE_ACTIONS) {
+            const trigger = this.bindings[action.id];
+            if (!trigger) continue;
+
+            const key = `${trigger.hand}:${trigger.pose}`;
+            (byTrigger[key] = byTrigger[key] || []).push(action.id);
+        }
+
+        return Object.entries(byTrigger)
+            .filter(([, actions]) => actions.length > 1)
+            .map(([key, actions]) => {
+                const [hand, pose] = key.split(':');
+                return { hand, pose, actions };
+            });
+    }
+
+    /**
+     * Resolve a hand role to the physical hand ('left' / 'right')
+     */
+    resolveHand(role) {
+        const primary = this.leftHanded ? 'left' : 'right';
+        const secondary = this.leftHanded ? 'right' : 'left';
+        return role === HAND_ROLES.PRIMARY ? primary : secondary;
+    }
+
+    /**
+     * Get bound actions in priority order: two-hand combinations
+     * first, then one-hand poses
+     */
+    getPriorityList() {
+        const bound = BINDABLE_ACTIONS
+            .map(action => ({ action: action.id, ...this.bindings[action.id] }))
+            .filter(binding => binding.hand);
+
+        return [
+            ...bound.filter(binding => binding.hand === HAND_ROLES.BOTH),
+            ...bound.filter(binding => binding.hand !== HAND_ROLES.BOTH)
+        ];
+    }
+
+    /**
+     * Restore the default table (handedness is kept)
+     */
+    reset() {
+        for (const action of BINDABLE_ACTIONS) {
+            this.bindings[action.id] = { ...DEFAULT_BINDINGS[action.id] };
+        }
+    }
+
+    /**
+     * Plain object for storage / transfer
+     */
+    toJSON() {
+        return {
+            leftHanded: this.leftHanded,
+            bindings: this.bindings
+        };
+    }
+
+    /**
+     * Build from a plain object, dropping unknown or invalid entries
+     */
+    static fromJSON(data) {
+        const bindings = { ...DEFAULT_BINDINGS };
+
+        if (data && data.bindings) {
+            for (const action of BINDABLE_ACTIONS) {
+                const trigger = data.bindings[action.id];
+                if (trigger === null || GestureBindings.isValidTrigger(trigger)) {
+                    bindings[action.id] = trigger;
+                }
+            }
+        }
+
+        return new GestureBindings(bindings, !!(data && data.leftHanded));
+    }
+
+    /**
+     * Load the saved bindings, or null if none
+     */
+    static load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            return saved ? GestureBindings.fromJSON(saved) : null;
+        } catch (e) {
+            console.warn('Gesture bindings unreadable, using defaults');
+            return null;
+        }
+    }
+
+    /**
+     * Persist bindings
+     */
+    static save(bindings) {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(bindings));
+        } catch (e) {
+            console.warn('Could not save gesture bindings');
+        }
+    }
+
+    /**
+     * Remove the saved bindings
+     */
+    static clear() {
+        try {
+            localStorage.removeItem(STORAGE_KEY);
+        } catch (e) { }
+    }
+}
+
+export default GestureBindings;
@@ -0,0 +1,144 @@
+/**
+ * AETHELGARD: EVENT HORIZON
+ * Hand Analysis Module
+ *
+ * Pure landmark feature extraction (palm size, curl, pinch, finger
+ * poses, tilt) shared by the main-thread HandTracker and the
+ * inference worker. No DOM, camera or gesture state.
+ */
+
+/**
+ * Analyze hand landmarks to extract features. thresholds holds the
+ * pinch, fist and open-palm thresholds (see DEFAULT_CALIBRATION).
+ */
+export function analyzeHand(landmarks, thresholds) {
+    // Key landmarks
+    const wrist = landmarks[0];
+    const thumbTip = landmarks[4];
+    const indexTip = landmarks[8];
+    const middleTip = landmarks[12];
+    const ringTip = landmarks[16];
+    const pinkyTip = landmarks[20];
+
+    const thumbMcp = landmarks[2];
+    const indexMcp = landmarks[5];
+    const middleMcp = landmarks[9];
+    const ringMcp = landmarks[13];
+    const pinkyMcp = landmarks[17];
+
+    const indexPip = landmarks[6];
+    const middlePip = landmarks[10];
+    const ringPip = landmarks[14];
+    const pinkyPip = landmarks[18];
+
+    // Calculate distances
+    const palmSize = distance3D(wrist, middleMcp);
+
+    // Calculate palm center
+    const palmCenter = {
+        x: (wrist.x + indexMcp.x + pinkyMcp.x) / 3,
+        y: (wrist.y + indexMcp.y + pinkyMcp.y) / 3,
+        z: (wrist.z + indexMcp.z + pinkyMcp.z) / 3
+    };
+
+    // Mean fingertip distance from palm center (curl measure)
+    const fingertipDistance = [indexTip, middleTip, ringTip, pinkyTip]
+        .reduce((sum, tip) => sum + distance3D(tip, palmCenter), 0) / 4 / palmSize;
+
+    // Pinch detection (thumb to index)
+    const pinchDistance = distance3D(thumbTip, indexTip) / palmSize;
+    const isPinching = pinchDistance < thresholds.pinchThreshold;
+
+    // Finger extension detection
+    const indexExtended = isFingerExtended(indexMcp, indexPip, indexTip);
+    const middleExtended = isFingerExtended(middleMcp, middlePip, middleTip);
+    const ringExtended = isFingerExtended(ringMcp, ringPip, ringTip);
+    const pinkyExtended = isFingerExtended(pinkyMcp, pinkyPip, pinkyTip);
+    const thumbExtended = thumbTip.x < thumbMcp.x; // Simplified thumb detection
+
+    // Count extended fingers
+    const extendedFingers = [indexExtended, middleExtended, ringExtended, pinkyExtended]
+        .filter(Boolean).length;
+
+    // Fist detection (all fingers curled)
+    const isFist = extendedFingers === 0 && !thumbExtended &&
+        fingertipDistance < thresholds.fistThreshold;
+
+    // Open palm detection (all fingers extended)
+    const isOpenPalm = extendedFingers >= 3 && thumbExtended &&
+        fingertipDistance > thresholds.openPalmThreshold;
+
+    // Pointing detection (only index extended)
+    const isPointing = indexExtended && !middleExtended && !ringExtended && !pinkyExtended;
+
+    // Peace sign (index and middle extended in a spread V)
+    const isPeace = indexExtended && middleExtended && !ringExtended && !pinkyExtended &&
+        distance2D(indexTip, middleTip) / palmSize > 0.3;
+
+    // Three fingers (index, middle and ring extended)
+    const isThreeFingers = indexExtended && middleExtended && ringExtended && !pinkyExtended;
+
+    // Thumbs up (fingers curled, thumb tip well above its base)
+    const isThumbsUp = extendedFingers === 0 &&
+        (thumbMcp.y - thumbTip.y) / palmSize > 0.6;
+
+    // Wrist tilt: angle of the wrist -> middle knuckle line from
+    // vertical, in mirrored screen space (positive = tilted right)
+    const tilt = Math.atan2(wrist.x - middleMcp.x, wrist.y - middleMcp.y);
+
+    // Calculate pointing direction
+    const pointDirection = {
+        x: indexTip.x - indexMcp.x,
+        y: indexTip.y - indexMcp.y
+    };
+
+    return {
+        landmarks,
+        palmCenter,
+        palmSize,
+        pinchDistance,
+        fingertipDistance,
+        isPinching,
+        isFist,
+        isOpenPalm,
+        isPointing,
+        isPeace,
+        isThreeFingers,
+        isThumbsUp,
+        indexExtended,
+        middleExtended,
+        ringExtended,
+        pinkyExtended,
+        thumbExtended,
+        extendedFingers,
+        tilt,
+        pointDirection,
+        indexTip: { x: indexTip.x, y: indexTip.y }
+    };
+}
+
+/**
+ * Check if a finger is extended
+ */
+export function isFingerExtended(mcp, pip, tip) {
+    // Finger is extended if tip is further from palm than pip
+    const mcpToTip = distance2D(mcp, tip);
+    const mcpToPip = distance2D(mcp, pip);
+    return mcpToTip > mcpToPip * 1.2;
+}
+
+/**
+ * Calculate 2D distance
+ */
+export function distance2D(a, b) {
+    return Math.sqrt((a.x - b.x) ** 2 + (a.y - b.y) ** 2);
+}
+
+/**
+ * Calculate 3D distance
+ */
+export function distance3D(a, b) {
+    return Math.sqrt((a.x - b.x) ** 2 + (a.y - b.y) ** 2 + (a.z - b.z) ** 2);
+}
+
+export default analyzeHand;
@@ -0,0 +1,211 @@
+/**
+ * AETHELGARD: EVENT HORIZON
+ * Hand Inference Client Module
+ *
+ * Runs MediaPipe hand inference in a Web Worker so it never competes
+ * with the render loop. Camera frames are handed over as ImageBitmaps
+ * with an adaptive frame-skip policy; the worker answers with
+ * analyzed hand data only.
+ */
+
+export class HandInferenceWorker {
+    constructor() {
+        this.worker = null;
+
+        // In-flight frame (only one at a time - natural backpressure)
+        this.frameId = 0;
+        this.inFlight = null;
+
+        // Adaptive frame skip
+        this.frameSkip = 0;         // Camera frames skipped between sends
+        this.maxFrameSkip = 4;
+        this.skipCounter = 0;
+        this.targetLatency = 40;    // ms from capture to result
+        this.adjustInterval = 500;  // ms between skip adjustments
+        this.lastAdjust = 0;
+
+        // Latency metrics (exponential moving averages, ms)
+        this.metrics = {
+            inferenceTime: 0,
+            latency: 0,
+            fps: 0,
+            frameSkip: 0,
+            framesSent: 0,
+            framesSkipped: 0,
+            framesProcessed: 0
+        };
+        this.smoothing = 0.1;
+        this.fpsWindowStart = 0;
+        this.fpsWindowFrames = 0;
+
+        // Callbacks
+        this.onResult = null;
+        this.onFailure = null; // (message) - the worker died after loading
+
+        // State
+        this.isReady = false;
+    }
+
+    /**
+     * Check browser support for worker inference
+     */
+    static isSupported() {
+        return typeof Worker !== 'undefined' && typeof createImageBitmap !== 'undefined';
+    }
+
+    /**
+     * Spawn the worker and load the model; resolves false on failure
+     */
+    initialize() {
+        return new Promise((resolve) => {
+            try {
+                this.worker = new Worker(new URL('./handWorker.js', import.meta.url), { type: 'module' });
+            } catch (error) {
+                console.warn('Hand inference worker unavailable:', error);
+                resolve(false);
+                return;
+            }
+
+            this.worker.onmessage = (e) => {
+                const message = e.data;
+
+                switch (message.type) {
+                    case 'ready':
+                        this.isReady = true;
+                        resolve(true);
+                        break;
+                    case 'error':
+                        console.warn('Hand inference worker error:', message.message);
+                        if (!this.isReady) {
+                            this.terminate();
+                            resolve(false);
+                        }
+                        this.inFlight = null;
+                        break;
+                    case 'result':
+                        this.handleResult(message);
+                        break;
+                }
+            };
+
+            this.worker.onerror = (error) => {
+                console.warn('Hand inference worker failed:', error.message);
+                const wasReady = this.isReady;
+                this.terminate();
+
+                if (!wasReady) {
+                    resolve(false);
+                } else if (this.onFailure) {
+                    // No more results will come - let the tracker switch paths
+                    this.onFailure(error.message);
+                }
+            };
+
+            this.worker.postMessage({ type: 'init' });
+        });
+    }
+
+    /**
+     * Send thresholds used by the worker's hand analysis
+     */
+    setCalibration(profile) {
+        if (this.worker) {
+            this.worker.postMessage({ type: 'calibration', profile });
+        }
+    }
+
+    /**
+     * Offer a camera frame; dropped if the worker is busy or
+     * the skip policy says so
+     */
+    async sendFrame(video, timestamp = performance.now()) {
+        if (!this.isReady) return;
+
+        if (this.inFlight || this.skipCounter < this.frameSkip) {
+            this.skipCounter++;
+            this.metrics.framesSkipped++;
+            return;
+        }
+        this.skipCounter = 0;
+
+        const frameId = ++this.frameId;
+        this.inFlight = { frameId, sentAt: performance.now(), timestamp };
+
+        try {
+            const bitmap = await createImageBitmap(video);
+            this.worker.postMessage({ type: 'frame', frameId, bitmap, timestamp }, [bitmap]);
+            this.metrics.framesSent++;
+        } catch (error) {
+            // Video not ready yet - try again next frame
+            this.inFlight = null;
+        }
+    }
+
+    /**
+     * Handle analyzed hands from the worker
+     */
+    handleResult(message) {
+        if (!this.inFlight || message.frameId !== this.inFlight.frameId) return;
+
+        const now = performance.now();
+        const { sentAt, timestamp } = this.inFlight;
+        this.inFlight = null;
+
+        // Update metrics
+        const latency = now - sentAt;
+        this.metrics.latency += (latency - this.metrics.latency) * this.smoothing;
+        this.metrics.inferenceTime += (message.inferenceTime - this.metrics.inferenceTime) * this.smoothing;
+        this.metrics.framesProcessed++;
+
+        this.fpsWindowFrames++;
+        if (now - this.fpsWindowStart >= 1000) {
+            this.metrics.fps = this.fpsWindowFrames * 1000 / (now - this.fpsWindowStart);
+            this.fpsWindowStart = now;
+            this.fpsWindowFrames = 0;
+        }
+
+        this.adaptFrameSkip(now);
+
+        if (this.onResult) {
+            this.onResult(message.hands, timestamp);
+        }
+    }
+
+    /**
+     * Skip more camera frames when inference falls behind,
+     * fewer when it has headroom
+     */
+    adaptFrameSkip(now) {
+        if (now - this.lastAdjust < this.adjustInterval) return;
+        this.lastAdjust = now;
+
+        if (this.metrics.latency > this.targetLatency && this.frameSkip < this.maxFrameSkip) {
+            this.frameSkip++;
+        } else if (this.metrics.latency < this.targetLatency * 0.6 && this.frameSkip > 0) {
+            this.frameSkip--;
+        }
+
+        this.metrics.frameSkip = this.frameSkip;
+    }
+
+    /**
+     * Get a snapshot of latency metrics
+     */
+    getMetrics() {
+        return { ...this.metrics };
+    }
+
+    /**
+     * Shut the worker down
+     */
+    terminate() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.isReady = false;
+        this.inFlight = null;
+    }
+}
+
+export default HandInferenceWorker;
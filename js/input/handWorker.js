@@ -0,0 +1,92 @@
+/**
+ * AETHELGARD: EVENT HORIZON
+ * Hand Inference Worker
+ *
+ * Module worker running the MediaPipe Tasks hand landmarker off the
+ * main thread. Landmarks are analyzed here with the same
+ * analyzeHand() the main thread uses (input/handAnalysis.js), and only
+ * the analyzed hands are posted back.
+ */
+
+import { DEFAULT_CALIBRATION } from './calibration.js';
+import { analyzeHand } from './handAnalysis.js';
+
+const VISION_URL = 'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.8';
+const MODEL_URL = 'https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task';
+
+let landmarker = null;
+
+// Thresholds for feature extraction, kept in sync with the main thread
+const thresholds = { ...DEFAULT_CALIBRATION };
+
+self.onmessage = async (e) => {
+    const message = e.data;
+
+    switch (message.type) {
+        case 'init':
+            await initialize();
+            break;
+        case 'calibration':
+            Object.assign(thresholds, message.profile);
+            break;
+        case 'frame':
+            processFrame(message);
+            break;
+    }
+};
+
+/**
+ * Load the vision runtime and hand landmarker model
+ */
+async function initialize() {
+    try {
+        const { FilesetResolver, HandLandmarker } = await import(`${VISION_URL}/vision_bundle.mjs`);
+        const vision = await FilesetResolver.forVisionTasks(`${VISION_URL}/wasm`);
+
+        landmarker = await HandLandmarker.createFromOptions(vision, {
+            baseOptions: {
+                modelAssetPath: MODEL_URL,
+                delegate: 'GPU'
+            },
+            runningMode: 'VIDEO',
+            numHands: 2,
+            minHandDetectionConfidence: 0.7,
+            minTrackingConfidence: 0.5
+        });
+
+        self.postMessage({ type: 'ready' });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+}
+
+/**
+ * Run inference on one frame and post analyzed hands
+ */
+function processFrame({ frameId, bitmap, timestamp }) {
+    try {
+        const start = performance.now();
+        const result = landmarker.detectForVideo(bitmap, timestamp);
+
+        // Same shape HandTracker.processAnalyzedHands() expects
+        const hands = result.landmarks.map((landmarks, i) => {
+            const handedness = result.handednesses[i][0];
+            return {
+                label: handedness.categoryName,
+                score: handedness.score,
+                data: analyzeHand(landmarks.map(({ x, y, z }) => ({ x, y, z })), thresholds)
+            };
+        });
+
+        self.postMessage({
+            type: 'result',
+            frameId,
+            hands,
+            inferenceTime: performance.now() - start
+        });
+    } catch (error) {
+        self.postMessage({ type: 'error', frameId, message: error.message });
+    } finally {
+        bitmap.close();
+    }
+}
@@ -0,0 +1,123 @@
+/**
+ * AETHELGARD: EVENT HORIZON
+ * Input Manager Module
+ *
+ * Merges hand tracking, keyboard/mouse and gamepad into a single
+ * gesture + aim stream, plus analog throttle, roll and strafe.
+ * Hands take priority whenever they are detected; otherwise the
+ * most recently used device flies the ship. The secondary trigger is
+ * reported on its own so it can be held together with primary fire.
+ */
+
+import { KeyboardMouseInput } from './keyboardMouse.js';
+import { GamepadInput } from './gamepad.js';
+
+export class InputManager {
+    constructor(handTracker) {
+        this.handTracker = handTracker;
+
+        // Fallback devices
+        this.keyboard = new KeyboardMouseInput();
+        this.gamepad = new GamepadInput();
+        this.sources = [this.keyboard, this.gamepad];
+
+        // Resolved state
+        this.activeSource = 'keyboard';
+        this.gesture = 'IDLE';
+        this.previousGesture = 'IDLE';
+        this.secondaryFire = false; // Secondary trigger, held alongside any gesture
+        this.aimPosition = { x: 0.5, y: 0.5 };
+        this.throttle = null; // 0-1, null when the source is digital
+        this.roll = 0;        // -1 to 1
+        this.strafe = { x: 0, y: 0 }; // -1 to 1 per axis
+
+        // Callbacks
+        this.onGestureChange = null;
+        this.onSourceChange = null;
+
+        console.log('🕹️ Input manager initialized');
+    }
+
+    /**
+     * Poll all sources and resolve the controlling one
+     */
+    update(deltaTime) {
+        // Poll every device so activity tracking stays current
+        const states = {};
+        for (const source of this.sources) {
+            if (source.isAvailable()) {
+                states[source.name] = source.update(deltaTime);
+            }
+        }
+
+        let sourceName;
+        let state;
+
+        if (this.hasHands()) {
+            sourceName = 'hands';
+            state = {
+                gesture: this.handTracker.currentGesture,
+                secondaryFire: this.handTracker.secondaryFire,
+                aimPosition: this.handTracker.smoothAimPosition,
+                throttle: this.handTracker.throttle,
+                roll: this.handTracker.roll
+            };
+        } else {
+            // Most recently used fallback device wins
+            const recent = this.sources
+                .filter(source => states[source.name])
+                .sort((a, b) => b.lastActivity - a.lastActivity)[0];
+
+            sourceName = recent.name;
+            state = states[recent.name];
+        }
+
+        if (sourceName !== this.activeSource) {
+            const previousSource = this.activeSource;
+            this.activeSource = sourceName;
+            if (this.onSourceChange) {
+                this.onSourceChange(sourceName, previousSource);
+            }
+        }
+
+        this.previousGesture = this.gesture;
+        this.gesture = state.gesture;
+        this.secondaryFire = !!state.secondaryFire;
+        this.aimPosition = state.aimPosition;
+        this.throttle = state.throttle ?? null;
+        this.roll = state.roll || 0;
+        this.strafe = state.strafe || { x: 0, y: 0 };
+
+        if (this.gesture !== this.previousGesture && this.onGestureChange) {
+            this.onGestureChange(this.gesture, this.previousGesture);
+        }
+
+        return this.getState();
+    }
+
+    /**
+     * Check if the hand tracker currently sees a hand
+     */
+    hasHands() {
+        return this.handTracker !== null &&
+            this.handTracker.isTracking() &&
+            this.handTracker.hasHands();
+    }
+
+    /**
+     * Get resolved input state
+     */
+    getState() {
+        return {
+            source: this.activeSource,
+            gesture: this.gesture,
+            secondaryFire: this.secondaryFire,
+            aimPosition: this.aimPosition,
+            throttle: this.throttle,
+            roll: this.roll,
+            strafe: this.strafe
+        };
+    }
+}
+
+export default InputManager;
@@ -0,0 +1,167 @@
+/**
+ * AETHELGARD: EVENT HORIZON
+ * Keyboard & Mouse Input Module
+ *
+ * Fallback flight controls for pilots without a camera.
+ * Produces the same gesture vocabulary as the HandTracker.
+ */
+
+// Held keys mapped to gestures, in the same priority order as HandTracker
+const KEY_GESTURES = [
+    { gesture: 'BARREL_ROLL', keys: ['q'] },
+    { gesture: 'BOOST', keys: ['shift'] },
+    { gesture: 'SHIELD', keys: ['f'] },
+    { gesture: 'IMMELMANN', keys: ['x'] },
+    { gesture: 'BOOST_DASH', keys: ['v'] },
+    { gesture: 'GADGET_SHROUD', keys: ['4'] },
+    { gesture: 'GADGET_EMP', keys: ['5'] },
+    { gesture: 'GADGET_DECOY', keys: ['6'] },
+    { gesture: 'ABILITY', keys: ['g'] },
+    { gesture: 'POWER_CYCLE', keys: ['b'] },
+    { gesture: 'FIRE_PRIMARY', keys: [' '], mouseButton: 0 },
+    { gesture: 'BRAKE', keys: ['s'] },
+    { gesture: 'THRUST', keys: ['w'] },
+    { gesture: 'FIRE_SECONDARY', keys: ['e'], mouseButton: 2 }
+];
+
+// Secondary trigger, also read on its own so both triggers can be held
+const SECONDARY_FIRE = KEY_GESTURES.find(binding => binding.gesture === 'FIRE_SECONDARY');
+
+// Strafe thrusters and roll
+const STRAFE_KEYS = { a: -1, d: 1 };
+const ROLL_KEYS = { z: -1, c: 1 };
+
+// Arrow keys nudge the aim for pilots without a mouse
+const AIM_KEYS = {
+    arrowleft: { x: -1, y: 0 },
+    arrowright: { x: 1, y: 0 },
+    arrowup: { x: 0, y: -1 },
+    arrowdown: { x: 0, y: 1 }
+};
+
+export class KeyboardMouseInput {
+    constructor() {
+        this.name = 'keyboard';
+
+        // Held keys and mouse buttons
+        this.keys = new Set();
+        this.mouseButtons = new Set();
+
+        // Aim position (0-1 screen coords)
+        this.aimPosition = { x: 0.5, y: 0.5 };
+        this.keyAimSpeed = 0.8; // screen widths per second
+
+        // Timestamp of the last key or mouse event
+        this.lastActivity = 0;
+
+        this.init();
+    }
+
+    init() {
+        window.addEventListener('keydown', (e) => this.onKeyDown(e));
+        window.addEventListener('keyup', (e) => this.onKeyUp(e));
+        window.addEventListener('mousemove', (e) => this.onMouseMove(e));
+        window.addEventListener('mousedown', (e) => this.onMouseDown(e));
+        window.addEventListener('mouseup', (e) => this.onMouseUp(e));
+        window.addEventListener('contextmenu', (e) => e.preventDefault());
+
+        // Drop held keys when the window loses focus so nothing sticks
+        window.addEventListener('blur', () => {
+            this.keys.clear();
+            this.mouseButtons.clear();
+        });
+
+        console.log('⌨️ Keyboard & mouse input ready');
+    }
+
+    onKeyDown(e) {
+        const key = e.key.toLowerCase();
+        if (key === ' ' || AIM_KEYS[key]) {
+            e.preventDefault();
+        }
+
+        this.keys.add(key);
+        this.lastActivity = performance.now();
+    }
+
+    onKeyUp(e) {
+        this.keys.delete(e.key.toLowerCase());
+    }
+
+    onMouseMove(e) {
+        this.aimPosition.x = e.clientX / window.innerWidth;
+        this.aimPosition.y = e.clientY / window.innerHeight;
+        this.lastActivity = performance.now();
+    }
+
+    onMouseDown(e) {
+        this.mouseButtons.add(e.button);
+        this.lastActivity = performance.now();
+    }
+
+    onMouseUp(e) {
+        this.mouseButtons.delete(e.button);
+    }
+
+    /**
+     * Keyboard and mouse are always present
+     */
+    isAvailable() {
+        return true;
+    }
+
+    /**
+     * Read current gesture and aim
+     */
+    update(deltaTime) {
+        const dt = deltaTime * 0.001;
+
+        // Arrow key aim
+        for (const [key, dir] of Object.entries(AIM_KEYS)) {
+            if (this.keys.has(key)) {
+                this.aimPosition.x += dir.x * this.keyAimSpeed * dt;
+                this.aimPosition.y += dir.y * this.keyAimSpeed * dt;
+            }
+        }
+
+        this.aimPosition.x = Math.max(0, Math.min(1, this.aimPosition.x));
+        this.aimPosition.y = Math.max(0, Math.min(1, this.aimPosition.y));
+
+        return {
+            gesture: this.detectGesture(),
+            secondaryFire: this.isHeld(SECONDARY_FIRE),
+            aimPosition: this.aimPosition,
+            roll: this.sumKeys(ROLL_KEYS),
+            strafe: { x: this.sumKeys(STRAFE_KEYS), y: 0 }
+        };
+    }
+
+    /**
+     * Sum the axis values of held keys
+     */
+    sumKeys(axisKeys) {
+        let value = 0;
+        for (const [key, dir] of Object.entries(axisKeys)) {
+            if (this.keys.has(key)) value += dir;
+        }
+        return value;
+    }
+
+    /**
+     * Resolve held keys to a single gesture
+     */
+    detectGesture() {
+        const binding = KEY_GESTURES.find(b => this.isHeld(b));
+        return binding ? binding.gesture : 'IDLE';
+    }
+
+    /**
+     * Check if any key or mouse button of a binding is held
+     */
+    isHeld(binding) {
+        return binding.keys.some(key => this.keys.has(key)) ||
+            (binding.mouseButton !== undefined && this.mouseButtons.has(binding.mouseButton));
+    }
+}
+
+export default KeyboardMouseInput;
@@ -0,0 +1,177 @@
+/**
+ * AETHELGARD: EVENT HORIZON
+ * Landmark Playback Module
+ *
+ * Feeds a recorded session back through HandTracker.processResults()
+ * at its original timing, so gestures replay without a camera.
+ */
+
+import { RECORDING_VERSION } from './landmarkRecorder.js';
+
+export class LandmarkPlayback {
+    constructor(handTracker) {
+        this.handTracker = handTracker;
+
+        // Loaded session
+        this.frames = [];
+        this.frameIndex = 0;
+
+        // Timing - frames are stamped baseTime + recorded offset
+        this.baseTime = 0;
+        this.timer = null;
+
+        // Options
+        this.loop = false;
+
+        // Callbacks
+        this.onComplete = null;
+
+        // State
+        this.isPlaying = false;
+    }
+
+    /**
+     * Load a recording (object or JSON string)
+     */
+    load(data) {
+        const recording = typeof data === 'string' ? JSON.parse(data) : data;
+
+        if (!recording || recording.version !== RECORDING_VERSION || !Array.isArray(recording.frames)) {
+            throw new Error('Unsupported landmark recording');
+        }
+
+        this.stop();
+        this.frames = recording.frames;
+        this.frameIndex = 0;
+
+        console.log(`📼 Landmark recording loaded: ${this.frames.length} frames`);
+        return this;
+    }
+
+    /**
+     * Load a recording from a URL
+     */
+    async loadFromURL(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to fetch recording: ${response.status}`);
+        }
+        return this.load(await response.json());
+    }
+
+    /**
+     * Load a recording from a File (e.g. an <input type="file">)
+     */
+    async loadFromFile(file) {
+        return this.load(await file.text());
+    }
+
+    /**
+     * Check if a recording is loaded
+     */
+    hasRecording() {
+        return this.frames.length > 0;
+    }
+
+    /**
+     * Replay in real time at the recorded pacing
+     */
+    play() {
+        if (!this.hasRecording()) return;
+
+        this.stop();
+        this.frameIndex = 0;
+        this.baseTime = performance.now();
+        this.isPlaying = true;
+        this.handTracker.isPlayingBack = true;
+
+        this.scheduleNext();
+    }
+
+    /**
+     * Schedule the next frame against the playback clock
+     */
+    scheduleNext() {
+        if (!this.isPlaying) return;
+
+        if (this.frameIndex >= this.frames.length) {
+            this.finish();
+            return;
+        }
+
+        const frame = this.frames[this.frameIndex];
+        const delay = Math.max(0, this.baseTime + frame.t - performance.now());
+
+        this.timer = setTimeout(() => {
+            this.step();
+            this.scheduleNext();
+        }, delay);
+    }
+
+    /**
+     * Feed the next frame immediately
+     */
+    step() {
+        if (this.frameIndex >= this.frames.length) return false;
+
+        const frame = this.frames[this.frameIndex++];
+        this.handTracker.isPlayingBack = true;
+
+        // Timestamps come from the recording, not the wall clock,
+        // so timer jitter never changes gesture results
+        this.handTracker.processResults({
+            multiHandLandmarks: frame.multiHandLandmarks,
+            multiHandedness: frame.multiHandedness
+        }, this.baseTime + frame.t);
+
+        return true;
+    }
+
+    /**
+     * Feed every frame synchronously (headless regression runs)
+     */
+    runAll() {
+        this.stop();
+        this.frameIndex = 0;
+        this.baseTime = 0;
+
+        while (this.step()) {
+            // Each step advances frameIndex
+        }
+
+        this.handTracker.isPlayingBack = false;
+    }
+
+    /**
+     * Handle end of recording
+     */
+    finish() {
+        if (this.loop) {
+            this.frameIndex = 0;
+            this.baseTime = performance.now();
+            this.scheduleNext();
+            return;
+        }
+
+        this.stop();
+        console.log('📼 Landmark playback complete');
+
+        if (this.onComplete) {
+            this.onComplete();
+        }
+    }
+
+    /**
+     * Stop playback
+     */
+    stop() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        this.isPlaying = false;
+        this.handTracker.isPlayingBack = false;
+    }
+}
+
+export default LandmarkPlayback;
@@ -0,0 +1,102 @@
+/**
+ * AETHELGARD: EVENT HORIZON
+ * Landmark Recorder Module
+ *
+ * Captures raw MediaPipe hand landmarks with timestamps so a
+ * session can be saved to JSON and replayed by LandmarkPlayback.
+ */
+
+export const RECORDING_VERSION = 1;
+
+export class LandmarkRecorder {
+    constructor(handTracker) {
+        this.handTracker = handTracker;
+
+        // Recorded frames
+        this.frames = [];
+        this.startTime = 0;
+        this.recordedAt = null;
+
+        // State
+        this.isRecording = false;
+    }
+
+    /**
+     * Begin capturing frames from the hand tracker
+     */
+    start() {
+        this.frames = [];
+        this.startTime = null;
+        this.recordedAt = new Date().toISOString();
+        this.isRecording = true;
+        this.handTracker.recorder = this;
+
+        console.log('⏺️ Landmark recording started');
+    }
+
+    /**
+     * Stop capturing frames
+     */
+    stop() {
+        this.isRecording = false;
+        if (this.handTracker.recorder === this) {
+            this.handTracker.recorder = null;
+        }
+
+        console.log(`⏹️ Landmark recording stopped: ${this.frames.length} frames`);
+    }
+
+    /**
+     * Store one MediaPipe result frame
+     */
+    record(results, timestamp) {
+        if (this.startTime === null) {
+            this.startTime = timestamp;
+        }
+
+        // Copy into plain objects - MediaPipe reuses its result buffers
+        const multiHandLandmarks = (results.multiHandLandmarks || []).map(landmarks =>
+            landmarks.map(({ x, y, z }) => ({ x, y, z }))
+        );
+        const multiHandedness = (results.multiHandedness || []).map(({ index, score, label }) =>
+            ({ index, score, label })
+        );
+
+        this.frames.push({
+            t: timestamp - this.startTime,
+            multiHandLandmarks,
+            multiHandedness
+        });
+    }
+
+    /**
+     * Get recording as serializable data
+     */
+    toJSON() {
+        return {
+            version: RECORDING_VERSION,
+            recordedAt: this.recordedAt,
+            duration: this.frames.length > 0 ? this.frames[this.frames.length - 1].t : 0,
+            frames: this.frames
+        };
+    }
+
+    /**
+     * Save recording as a JSON file download
+     */
+    download(filename = `aethelgard-session-${Date.now()}.json`) {
+        const blob = new Blob([JSON.stringify(this.toJSON())], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        URL.revokeObjectURL(url);
+    }
+}
+
+export default LandmarkRecorder;
@@ -0,0 +1,156 @@
+/**
+ * AETHELGARD: EVENT HORIZON
+ * Motion Tracker Module
+ *
+ * Keeps a short rolling history of each hand's palm center and depth
+ * and turns fast movements into motion gestures: swipes, flicks,
+ * pushes and pulls.
+ *
+ * Depth comes from apparent palm size rather than landmark z, which
+ * MediaPipe reports relative to the wrist: a hand moving toward the
+ * camera grows in the frame.
+ */
+
+// Motion gestures reported on hand data (hand.motion)
+export const MOTIONS = ['SWIPE_LEFT', 'SWIPE_RIGHT', 'FLICK_UP', 'FLICK_DOWN', 'PUSH', 'PULL'];
+
+export class MotionTracker {
+    constructor() {
+        // Rolling history per physical hand: { t, x, y, scale }
+        this.history = { left: [], right: [] };
+        this.historyWindow = 400; // ms of history kept
+
+        // Swipe: fast horizontal palm travel (frame width)
+        this.swipeDistance = 0.15;
+        this.swipeWindow = 250;
+
+        // Flick: short, sharp vertical palm travel (frame height)
+        this.flickDistance = 0.12;
+        this.flickWindow = 200;
+
+        // Push / pull: change in apparent palm size
+        this.pushScale = 1.25;  // Palm grows 25% -> push
+        this.pullScale = 0.8;   // Palm shrinks 20% -> pull
+        this.pushWindow = 300;
+        this.pushDrift = 0.08;  // Max palm travel across the frame meanwhile
+
+        // Travel along the main axis must dominate the other axis
+        this.dominance = 1.5;
+
+        // A detected motion stays active for this long (ms)
+        this.motionHold = 250;
+
+        // Active motion per hand: { gesture, until }
+        this.active = { left: null, right: null };
+    }
+
+    /**
+     * Feed this frame's hands; sets hand.motion on each visible hand
+     */
+    update(now, leftHand, rightHand) {
+        this.updateHand('left', leftHand, now);
+        this.updateHand('right', rightHand, now);
+    }
+
+    /**
+     * Update one hand's history and detect motions
+     */
+    updateHand(side, hand, now) {
+        const history = this.history[side];
+
+        if (!hand) {
+            history.length = 0;
+            this.active[side] = null;
+            return;
+        }
+
+        // Screen-space x (camera view is mirrored)
+        history.push({
+            t: now,
+            x: 1 - hand.palmCenter.x,
+            y: hand.palmCenter.y,
+            scale: hand.palmSize
+        });
+        while (history.length > 0 && now - history[0].t > this.historyWindow) {
+            history.shift();
+        }
+
+        const gesture = this.detect(history, now);
+        if (gesture) {
+            this.active[side] = { gesture, until: now + this.motionHold };
+            history.length = 0; // One gesture per motion
+        }
+
+        const active = this.active[side];
+        hand.motion = active && now < active.until ? active.gesture : null;
+        hand.velocity = this.getVelocity(side);
+    }
+
+    /**
+     * Detect a motion gesture in a hand's history
+     */
+    detect(history, now) {
+        const latest = history[history.length - 1];
+        const since = (span) => history.find(sample => now - sample.t <= span) || latest;
+
+        // Swipe
+        const swipeStart = since(this.swipeWindow);
+        const dx = latest.x - swipeStart.x;
+        if (Math.abs(dx) >= this.swipeDistance &&
+            Math.abs(dx) > Math.abs(latest.y - swipeStart.y) * this.dominance) {
+            return dx > 0 ? 'SWIPE_RIGHT' : 'SWIPE_LEFT';
+        }
+
+        // Flick
+        const flickStart = since(this.flickWindow);
+        const dy = latest.y - flickStart.y;
+        if (Math.abs(dy) >= this.flickDistance &&
+            Math.abs(dy) > Math.abs(latest.x - flickStart.x) * this.dominance) {
+            return dy < 0 ? 'FLICK_UP' : 'FLICK_DOWN';
+        }
+
+        // Push / pull - toward or away from the camera, not across the
+        // frame (aiming sweeps change palm size too)
+        const pushStart = since(this.pushWindow);
+        const drift = Math.hypot(latest.x - pushStart.x, latest.y - pushStart.y);
+        if (pushStart.scale > 0 && drift <= this.pushDrift) {
+            const growth = latest.scale / pushStart.scale;
+            if (growth >= this.pushScale) return 'PUSH';
+            if (growth <= this.pullScale) return 'PULL';
+        }
+
+        return null;
+    }
+
+    /**
+     * Palm velocity over the kept history (frame units and
+     * relative palm scale per second)
+     */
+    getVelocity(side) {
+        const history = this.history[side];
+        if (history.length < 2) return { x: 0, y: 0, z: 0 };
+
+        const first = history[0];
+        const last = history[history.length - 1];
+        const dt = (last.t - first.t) * 0.001;
+        if (dt <= 0) return { x: 0, y: 0, z: 0 };
+
+        return {
+            x: (last.x - first.x) / dt,
+            y: (last.y - first.y) / dt,
+            z: (last.scale / first.scale - 1) / dt
+        };
+    }
+
+    /**
+     * Forget all history
+     */
+    reset() {
+        this.history.left.length = 0;
+        this.history.right.length = 0;
+        this.active.left = null;
+        this.active.right = null;
+    }
+}
+
+export default MotionTracker;
@@ -0,0 +1,331 @@
+/**
+ * AETHELGARD: EVENT HORIZON
+ * Tracking Monitor Module
+ *
+ * Watches hand-tracking quality (lighting, detection confidence,
+ * hands lost, frame latency) and keeps a log of tracking dropouts
+ * for later review.
+ */
+
+// Tracking issues, in display priority order
+export const TRACKING_ISSUES = {
+    STALLED: 'Camera feed stalled',
+    NO_HANDS: 'Hands out of frame',
+    LOW_LIGHT: 'Low light - add a lamp in front of you',
+    LOW_CONFIDENCE: 'Hands hard to see - keep them in clear view',
+    HIGH_LATENCY: 'Tracking is lagging'
+};
+
+const LOG_KEY = 'aethelgard.trackingLog';
+const SETTINGS_KEY = 'aethelgard.trackingMonitor';
+
+export class TrackingMonitor {
+    constructor(handTracker) {
+        this.handTracker = handTracker;
+
+        // Thresholds
+        this.lossTimeout = 1500;      // ms without hands before auto-pause (0 = off)
+        this.reacquireTime = 500;     // ms of steady hands before auto-resume
+        this.minDropout = 250;        // ms - shorter losses are not logged
+        this.lowLightLevel = 0.15;    // Mean frame luminance (0-1)
+        this.minConfidence = 0.75;    // Mean handedness score
+        this.maxFrameInterval = 100;  // ms between tracking frames (~10 fps)
+        this.stallTime = 500;         // ms without any tracking frame
+
+        // Lighting samples
+        this.lightingInterval = 1000;
+        this.lastLightingSample = 0;
+        this.sampleCanvas = null;
+        this.sampleCtx = null;
+
+        // Measurements
+        this.brightness = null;
+        this.confidence = 0;
+        this.frameInterval = 0;     // Smoothed ms between tracking frames
+        this.lastTrackedFrame = 0;
+        this.lastHandsTime = 0;
+        this.handsSince = null;     // When hands reappeared after a loss
+        this.issues = [];
+
+        // Dropout log
+        this.dropout = null;
+        this.log = TrackingMonitor.loadLog();
+        this.maxLogEntries = 100;
+
+        this.loadSettings();
+    }
+
+    /**
+     * Sample tracking quality; call once per game frame
+     */
+    update(now = performance.now()) {
+        const tracker = this.handTracker;
+
+        // Frame cadence
+        if (tracker.lastFrameTime !== this.lastTrackedFrame) {
+            if (this.lastTrackedFrame > 0) {
+                const interval = tracker.lastFrameTime - this.lastTrackedFrame;
+                this.frameInterval += (interval - this.frameInterval) * 0.1;
+            }
+            this.lastTrackedFrame = tracker.lastFrameTime;
+        }
+
+        // Hands present / lost. A stalled feed keeps reporting its last
+        // hands, so they count as lost from the last tracking frame.
+        const stalled = this.isStalled(now);
+        if (tracker.hasHands() && !stalled) {
+            if (this.handsSince === null) this.handsSince = now;
+            this.lastHandsTime = now;
+            this.confidence = tracker.detectionScore;
+        } else {
+            if (stalled && this.lastHandsTime > 0) {
+                this.lastHandsTime = Math.min(this.lastHandsTime, this.lastTrackedFrame);
+            }
+            this.handsSince = null;
+            this.confidence = 0;
+        }
+
+        // Lighting (live camera only)
+        if (tracker.isRunning && !tracker.isPlayingBack &&
+            now - this.lastLightingSample >= this.lightingInterval) {
+            this.lastLightingSample = now;
+            this.brightness = this.sampleBrightness(tracker.video);
+        }
+
+        this.issues = this.detectIssues(now);
+        this.updateDropout(now);
+
+        return this.getHealth(now);
+    }
+
+    /**
+     * Work out which quality problems are present
+     */
+    detectIssues(now) {
+        const issues = [];
+        const metrics = this.handTracker.getInferenceMetrics();
+        const latency = metrics ? metrics.latency : this.frameInterval;
+
+        if (this.isStalled(now)) {
+            issues.push('STALLED');
+        }
+        if (this.getHandsLostFor(now) > 0) {
+            issues.push('NO_HANDS');
+        }
+        if (this.brightness !== null && this.brightness < this.lowLightLevel) {
+            issues.push('LOW_LIGHT');
+        }
+        if (this.confidence > 0 && this.confidence < this.minConfidence) {
+            issues.push('LOW_CONFIDENCE');
+        }
+        if (latency > this.maxFrameInterval) {
+            issues.push('HIGH_LATENCY');
+        }
+
+        return issues;
+    }
+
+    /**
+     * Open / close dropout log entries as hands are lost and found
+     */
+    updateDropout(now) {
+        const lost = this.getHandsLostFor(now) > 0;
+
+        if (lost && !this.dropout) {
+            this.dropout = {
+                start: this.lastHandsTime,
+                at: new Date().toISOString(),
+                issues: new Set(),
+                autoPaused: false
+            };
+        }
+
+        if (this.dropout) {
+            this.issues.forEach(issue => this.dropout.issues.add(issue));
+        }
+
+        if (!lost && this.dropout) {
+            this.endDropout(now);
+        }
+    }
+
+    /**
+     * Close the current dropout and log it if long enough
+     */
+    endDropout(now) {
+        const dropout = this.dropout;
+        this.dropout = null;
+
+        const duration = Math.round(now - dropout.start);
+        if (duration < this.minDropout) return;
+
+        const entry = {
+            at: dropout.at,
+            duration,
+            issues: [...dropout.issues],
+            autoPaused: dropout.autoPaused
+        };
+
+        this.log.push(entry);
+        if (this.log.length > this.maxLogEntries) {
+            this.log.shift();
+        }
+        TrackingMonitor.saveLog(this.log);
+
+        console.log(`📉 Tracking dropout: ${duration}ms (${entry.issues.join(', ')})`);
+    }
+
+    /**
+     * Mean luminance (0-1) of a downscaled video frame
+     */
+    sampleBrightness(video) {
+        if (!video || video.readyState < 2) return this.brightness;
+
+        if (!this.sampleCanvas) {
+            this.sampleCanvas = document.createElement('canvas');
+            this.sampleCanvas.width = 16;
+            this.sampleCanvas.height = 12;
+            this.sampleCtx = this.sampleCanvas.getContext('2d', { willReadFrequently: true });
+        }
+
+        const { width, height } = this.sampleCanvas;
+        this.sampleCtx.drawImage(video, 0, 0, width, height);
+        const pixels = this.sampleCtx.getImageData(0, 0, width, height).data;
+
+        let sum = 0;
+        for (let i = 0; i < pixels.length; i += 4) {
+            sum += 0.2126 * pixels[i] + 0.7152 * pixels[i + 1] + 0.0722 * pixels[i + 2];
+        }
+        return sum / (pixels.length / 4) / 255;
+    }
+
+    /**
+     * Check if tracking frames have stopped arriving
+     */
+    isStalled(now = performance.now()) {
+        return this.lastTrackedFrame > 0 && now - this.lastTrackedFrame > this.stallTime;
+    }
+
+    /**
+     * ms since hands were last seen (0 while visible or never seen)
+     */
+    getHandsLostFor(now = performance.now()) {
+        if (this.lastHandsTime === 0 || this.handsSince !== null) return 0;
+        return now - this.lastHandsTime;
+    }
+
+    /**
+     * Check if hands have been missing past the auto-pause timeout
+     */
+    shouldAutoPause(now = performance.now()) {
+        return this.lossTimeout > 0 && this.getHandsLostFor(now) >= this.lossTimeout;
+    }
+
+    /**
+     * Check if hands have been steady long enough to resume
+     */
+    isReacquired(now = performance.now()) {
+        return this.handsSince !== null && now - this.handsSince >= this.reacquireTime;
+    }
+
+    /**
+     * Flag the current dropout as having paused the game
+     */
+    markAutoPaused() {
+        if (this.dropout) {
+            this.dropout.autoPaused = true;
+        }
+    }
+
+    /**
+     * Get a snapshot of tracking health
+     */
+    getHealth(now = performance.now()) {
+        const lost = this.issues.includes('NO_HANDS') || this.issues.includes('STALLED');
+
+        return {
+            status: lost ? 'lost' : (this.issues.length > 0 ? 'degraded' : 'good'),
+            issues: this.issues,
+            handsLostFor: this.getHandsLostFor(now),
+            brightness: this.brightness,
+            confidence: this.confidence,
+            frameInterval: this.frameInterval
+        };
+    }
+
+    /**
+     * Forget hand history (e.g. at the start of a run)
+     */
+    reset() {
+        this.lastHandsTime = 0;
+        this.handsSince = null;
+        this.dropout = null;
+        this.issues = [];
+    }
+
+    /**
+     * Set and persist the auto-pause timeout (0 disables)
+     */
+    setLossTimeout(ms) {
+        this.lossTimeout = ms;
+        try {
+            localStorage.setItem(SETTINGS_KEY, JSON.stringify({ lossTimeout: ms }));
+        } catch (e) {
+            console.warn('Could not save tracking monitor settings');
+        }
+    }
+
+    /**
+     * Load the saved auto-pause timeout
+     */
+    loadSettings() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+            if (saved && typeof saved.lossTimeout === 'number') {
+                this.lossTimeout = saved.lossTimeout;
+            }
+        } catch (e) { }
+    }
+
+    /**
+     * Download the dropout log as JSON
+     */
+    downloadLog() {
+        const blob = new Blob([JSON.stringify(this.log, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `aethelgard-tracking-${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Load the saved dropout log
+     */
+    static loadLog() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(LOG_KEY));
+            return Array.isArray(saved) ? saved : [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    /**
+     * Persist the dropout log
+     */
+    static saveLog(log) {
+        try {
+            localStorage.setItem(LOG_KEY, JSON.stringify(log));
+        } catch (e) {
+            console.warn('Could not save tracking log');
+        }
+    }
+}
+
+export default TrackingMonitor;
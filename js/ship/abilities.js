@@ -0,0 +1,150 @@
+/**
+ * AETHELGARD: EVENT HORIZON
+ * Abilities Module
+ *
+ * Signature abilities, one per ship class:
+ * - Overcharge (Aurelian): Refills energy and triples its recharge
+ * - Broadside (Bastion):   Fires every railgun hardpoint at once
+ * - Blink (Kestrel):       Short jump straight ahead, untouchable mid-jump
+ *
+ * Timers are advanced by update(), so they hold while the game is paused.
+ */
+
+// Ability stats (times in ms)
+export const SHIP_ABILITIES = {
+    overcharge: {
+        name: 'OVERCHARGE',
+        icon: '🔋',
+        cooldown: 25000,
+        energyCost: 0,
+        duration: 5000,
+        regenMultiplier: 3
+    },
+    broadside: {
+        name: 'BROADSIDE',
+        icon: '🎇',
+        cooldown: 10000,
+        energyCost: 30,
+        duration: 0,
+        damageMultiplier: 1.5
+    },
+    blink: {
+        name: 'BLINK',
+        icon: '✨',
+        cooldown: 8000,
+        energyCost: 25,
+        duration: 250, // Invulnerable while jumping
+        distance: 400
+    }
+};
+
+export class ShipAbility {
+    constructor(ship, weapons) {
+        this.ship = ship;
+        this.weapons = weapons;
+
+        this.cooldownRemaining = 0;
+        this.activeRemaining = 0;
+
+        // Callbacks
+        this.onUse = null;
+    }
+
+    /**
+     * The current ship class's ability id
+     */
+    get id() {
+        return this.ship.definition.ability;
+    }
+
+    /**
+     * The current ship class's ability stats
+     */
+    get ability() {
+        return SHIP_ABILITIES[this.id];
+    }
+
+    /**
+     * Trigger the ability. Returns false if cooling down or short on energy.
+     */
+    use() {
+        const ability = this.ability;
+        if (!ability) return false;
+
+        if (this.cooldownRemaining > 0) return false;
+        if (this.ship.energy < ability.energyCost) return false;
+
+        this.ship.energy -= ability.energyCost;
+
+        switch (this.id) {
+            case 'overcharge':
+                this.ship.energy = this.ship.maxEnergy;
+                break;
+            case 'broadside':
+                this.weapons.fireBroadside(ability.damageMultiplier);
+                break;
+            case 'blink':
+                this.ship.position.addScaledVector(this.ship.getForward(), ability.distance);
+                break;
+        }
+
+        this.cooldownRemaining = ability.cooldown;
+        this.activeRemaining = ability.duration;
+
+        if (this.onUse) {
+            this.onUse(this.id);
+        }
+
+        return true;
+    }
+
+    /**
+     * Advance timers and apply running effects
+     */
+    update(deltaTime) {
+        const dt = deltaTime * 0.001;
+
+        this.cooldownRemaining = Math.max(0, this.cooldownRemaining - deltaTime);
+        if (this.activeRemaining <= 0) return;
+
+        this.activeRemaining = Math.max(0, this.activeRemaining - deltaTime);
+
+        switch (this.id) {
+            case 'overcharge': {
+                // Extra recharge on top of the ship's own
+                const bonus = this.ship.energyRegen * (this.ability.regenMultiplier - 1) * dt;
+                this.ship.energy = Math.min(this.ship.maxEnergy, this.ship.energy + bonus);
+                break;
+            }
+            case 'blink':
+                this.ship.isInvulnerable = true;
+                break;
+        }
+    }
+
+    /**
+     * Cooldown progress 0-1 (1 = ready)
+     */
+    getCooldownProgress() {
+        const ability = this.ability;
+        if (!ability) return 1;
+        return 1 - this.cooldownRemaining / ability.cooldown;
+    }
+
+    /**
+     * Check if the ability's effect is running
+     */
+    isActive() {
+        return this.activeRemaining > 0;
+    }
+
+    /**
+     * End any running effect and reset the cooldown
+     */
+    reset() {
+        this.cooldownRemaining = 0;
+        this.activeRemaining = 0;
+    }
+}
+
+export default ShipAbility;
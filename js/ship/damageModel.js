@@ -0,0 +1,244 @@
+/**
+ * AETHELGARD: EVENT HORIZON
+ * Damage Model Module
+ *
+ * Localized hull damage for the player ship. Hits that get past the
+ * shields also wear down the subsystem facing the impact:
+ * - Engines (rear):  lower top speed and acceleration
+ * - Weapons (sides): longer weapon cooldowns
+ * - Sensors (nose):  shorter radar range
+ *
+ * Damaged parts scorch and spark on the ship mesh. Repair pickups
+ * restore subsystem health.
+ */
+
+import * as THREE from 'three';
+
+// HUD panel order
+export const SUBSYSTEMS = ['engines', 'weapons', 'sensors'];
+
+const SCORCH_COLOR = new THREE.Color(0x1a0d05);
+
+export class DamageModel {
+    constructor(ship) {
+        this.ship = ship;
+
+        // Subsystem stats - `floor` is the effect left at zero health
+        this.subsystems = {
+            engines: {
+                name: 'ENGINES',
+                health: 100,
+                speedFloor: 0.4,        // Fraction of top speed when offline
+                accelerationFloor: 0.3
+            },
+            weapons: {
+                name: 'WEAPONS',
+                health: 100,
+                maxCooldownMultiplier: 2.5 // Cooldown scale when offline
+            },
+            sensors: {
+                name: 'SENSORS',
+                health: 100,
+                radarRange: 2000,
+                rangeFloor: 0.3
+            }
+        };
+
+        this.maxHealth = 100;
+        this.subsystemShare = 1.5; // Subsystem damage per point of hull damage
+        this.sparkThreshold = 0.5; // Health fraction below which parts spark
+
+        // Mesh parts per subsystem, their original colors and spark emitters
+        this.parts = {};
+        this.sparks = {};
+
+        // Scratch objects
+        this.inverse = new THREE.Quaternion();
+        this.local = new THREE.Vector3();
+    }
+
+    /**
+     * Hook up the ship's mesh parts: { engines: [mesh], ... }
+     */
+    attachParts(parts) {
+        for (const id of SUBSYSTEMS) {
+            const meshes = parts[id] || [];
+
+            // Mirrored parts share a material - only track each once
+            const materials = [...new Set(meshes.map(mesh => mesh.material))];
+            this.parts[id] = materials.map(material => ({
+                material,
+                color: material.color.clone(),
+                emissiveIntensity: material.emissiveIntensity
+            }));
+
+            this.sparks[id] = meshes.map(mesh => this.createSparks(mesh));
+        }
+    }
+
+    /**
+     * Spark emitter parked on a ship part
+     */
+    createSparks(part) {
+        const count = 8;
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(count * 3), 3));
+
+        const material = new THREE.PointsMaterial({
+            color: 0xffaa33,
+            size: 1.5,
+            transparent: true,
+            blending: THREE.AdditiveBlending,
+            depthWrite: false
+        });
+
+        const sparks = new THREE.Points(geometry, material);
+        sparks.position.copy(part.position);
+        sparks.visible = false;
+        part.parent.add(sparks);
+
+        return sparks;
+    }
+
+    /**
+     * Subsystem facing a world-space hit point
+     */
+    getSubsystem(hitPoint) {
+        // Collisions without a hit point land on the nose
+        if (!hitPoint) return 'sensors';
+
+        this.inverse.copy(this.ship.quaternion).invert();
+        this.local.copy(hitPoint).sub(this.ship.position).applyQuaternion(this.inverse);
+
+        // Angle from the nose (forward is -Z)
+        const angle = Math.abs(Math.atan2(this.local.x, -this.local.z));
+
+        if (angle < Math.PI / 4) return 'sensors';
+        if (angle > Math.PI * 2 / 3) return 'engines';
+        return 'weapons';
+    }
+
+    /**
+     * Wear down the subsystem facing a hit. Returns the subsystem id.
+     */
+    applyHit(amount, hitPoint = null) {
+        const id = this.getSubsystem(hitPoint);
+        const subsystem = this.subsystems[id];
+
+        subsystem.health = Math.max(0, subsystem.health - amount * this.subsystemShare);
+        this.applyEffects();
+
+        return id;
+    }
+
+    /**
+     * Restore health to every subsystem
+     */
+    repair(amount) {
+        for (const subsystem of Object.values(this.subsystems)) {
+            subsystem.health = Math.min(this.maxHealth, subsystem.health + amount);
+        }
+        this.applyEffects();
+    }
+
+    /**
+     * Subsystem health 0-1
+     */
+    getHealth(id) {
+        return this.subsystems[id].health / this.maxHealth;
+    }
+
+    /**
+     * Health 0-1 per subsystem, in panel order
+     */
+    getLevels() {
+        return SUBSYSTEMS.map(id => this.getHealth(id));
+    }
+
+    /**
+     * Re-apply ship stats after subsystem health changes
+     */
+    applyEffects() {
+        this.ship.refreshStats();
+    }
+
+    /**
+     * Top speed and acceleration scales from engine damage (1 = undamaged)
+     */
+    getEngineScale() {
+        const engines = this.subsystems.engines;
+        const health = this.getHealth('engines');
+
+        return {
+            speed: engines.speedFloor + (1 - engines.speedFloor) * health,
+            acceleration: engines.accelerationFloor + (1 - engines.accelerationFloor) * health
+        };
+    }
+
+    /**
+     * Weapon cooldown scale (1 = undamaged)
+     */
+    getCooldownMultiplier() {
+        const weapons = this.subsystems.weapons;
+        return 1 + (weapons.maxCooldownMultiplier - 1) * (1 - this.getHealth('weapons'));
+    }
+
+    /**
+     * Radar detection range
+     */
+    getRadarRange() {
+        const sensors = this.subsystems.sensors;
+        return sensors.radarRange * (sensors.rangeFloor + (1 - sensors.rangeFloor) * this.getHealth('sensors'));
+    }
+
+    /**
+     * Update damage visuals
+     */
+    update(deltaTime) {
+        const now = performance.now();
+
+        for (const id of SUBSYSTEMS) {
+            const health = this.getHealth(id);
+            const damage = 1 - health;
+
+            // Scorch the part's paint
+            for (const part of this.parts[id] || []) {
+                part.material.color.copy(part.color).lerp(SCORCH_COLOR, damage * 0.8);
+
+                // Failing sensors flicker
+                if (id === 'sensors') {
+                    const flicker = health < this.sparkThreshold && Math.random() < damage * 0.3;
+                    part.material.emissiveIntensity = flicker ? 0 : part.emissiveIntensity * (0.3 + health * 0.7);
+                }
+            }
+
+            // Sparks, more often the worse the damage
+            const sparking = health < this.sparkThreshold;
+            for (const sparks of this.sparks[id] || []) {
+                sparks.visible = sparking && Math.random() < damage;
+                if (!sparks.visible) continue;
+
+                const positions = sparks.geometry.attributes.position.array;
+                for (let i = 0; i < positions.length; i++) {
+                    positions[i] = (Math.random() - 0.5) * 6;
+                }
+                sparks.geometry.attributes.position.needsUpdate = true;
+                sparks.material.opacity = 0.6 + Math.sin(now * 0.05) * 0.4;
+            }
+        }
+    }
+
+    /**
+     * Restore all subsystems
+     */
+    reset() {
+        for (const subsystem of Object.values(this.subsystems)) {
+            subsystem.health = this.maxHealth;
+        }
+
+        this.applyEffects();
+        this.update(0);
+    }
+}
+
+export default DamageModel;
@@ -0,0 +1,294 @@
+/**
+ * AETHELGARD: EVENT HORIZON
+ * Flight Model Module
+ *
+ * Six-degree-of-freedom flight for the player ship: unbounded pitch,
+ * yaw and roll rates, lateral/vertical strafe thrusters, mass and
+ * angular momentum. Integrated at a fixed step so handling is the
+ * same at any frame rate.
+ *
+ * ARCADE ASSIST - rate commands, auto-stabilized rotation, drift
+ *                 damping and a speed cap.
+ * NEWTONIAN     - raw thrust and torque; momentum is conserved.
+ */
+
+import * as THREE from 'three';
+
+export const FLIGHT_MODES = {
+    ARCADE: 'arcade',
+    NEWTONIAN: 'newtonian'
+};
+
+const MODE_KEY = 'aethelgard.flightMode';
+
+// Body axes (forward is -Z)
+const AXIS_X = new THREE.Vector3(1, 0, 0);
+const AXIS_Y = new THREE.Vector3(0, 1, 0);
+
+export class FlightModel {
+    constructor(ship) {
+        this.ship = ship;
+        this.mode = FLIGHT_MODES.ARCADE;
+
+        // Mass properties (linear mass is the hull's, see ship.mass)
+        this.inertia = new THREE.Vector3(1, 1, 0.6);         // Pitch, yaw, roll
+        this.maxTorque = new THREE.Vector3(6, 6, 8);
+
+        // Rotation rates (rad/s) reached at full stick
+        this.maxAngularRate = new THREE.Vector3(1.6, 1.6, 2.5);
+        this.rateResponse = 8; // Arcade: how hard rotation chases the commanded rate
+
+        // Strafe thrusters (fraction of main engine)
+        this.strafeRatio = 0.6;
+
+        // Arcade assist damping (per second)
+        this.coastDrag = 0.6;     // Matches the old 0.99-per-frame drift at 60 fps
+        this.driftDamping = 2.5;  // Kills sideways slip when not strafing
+        this.overspeedDrag = 2;   // Bleeds speed back under the cap after a boost
+
+        // Newtonian safety cap (multiple of boosted max speed)
+        this.newtonianSpeedCap = 2;
+
+        // Aim offset inside this radius commands no rotation
+        this.aimDeadzone = 0.1;
+
+        // State
+        this.angularVelocity = new THREE.Vector3(); // Body frame, rad/s
+
+        // Fixed-step integration
+        this.fixedStep = 1 / 120;
+        this.maxSteps = 30;
+        this.accumulator = 0;
+
+        // Scratch objects
+        this.forward = new THREE.Vector3();
+        this.right = new THREE.Vector3();
+        this.up = new THREE.Vector3();
+        this.deltaRotation = new THREE.Quaternion();
+    }
+
+    /**
+     * Switch between arcade assist and Newtonian flight
+     */
+    setMode(mode) {
+        if (!Object.values(FLIGHT_MODES).includes(mode)) return;
+        this.mode = mode;
+    }
+
+    /**
+     * Apply a ship class's handling: { inertia, maxAngularRate, strafeRatio }
+     * (vectors as [pitch, yaw, roll])
+     */
+    setHandling(handling) {
+        if (!handling) return;
+
+        if (handling.inertia) this.inertia.fromArray(handling.inertia);
+        if (handling.maxAngularRate) this.maxAngularRate.fromArray(handling.maxAngularRate);
+        if (typeof handling.strafeRatio === 'number') this.strafeRatio = handling.strafeRatio;
+
+        this.angularVelocity.set(0, 0, 0);
+    }
+
+    /**
+     * Convert a 0-1 aim position into pitch/yaw rate commands (-1 to 1)
+     */
+    aimToRates(aimPosition) {
+        const shape = (offset) => {
+            const value = Math.max(-1, Math.min(1, offset * 2));
+            if (Math.abs(value) < this.aimDeadzone) return 0;
+            return Math.sign(value) * (Math.abs(value) - this.aimDeadzone) / (1 - this.aimDeadzone);
+        };
+
+        return {
+            pitch: shape(aimPosition.y - 0.5),  // Hand low = nose up
+            yaw: -shape(aimPosition.x - 0.5)    // Aim right = turn right
+        };
+    }
+
+    /**
+     * Advance the simulation by dt seconds
+     *
+     * controls: { pitch, yaw, roll, strafe: {x, y}, throttle (0-1 or null),
+     *             thrust, brake, boost }
+     */
+    update(dt, controls) {
+        this.accumulator = Math.min(this.accumulator + dt, this.fixedStep * this.maxSteps);
+
+        while (this.accumulator >= this.fixedStep) {
+            this.step(this.fixedStep, controls);
+            this.accumulator -= this.fixedStep;
+        }
+    }
+
+    /**
+     * One fixed integration step
+     */
+    step(h, controls) {
+        this.stepAngular(h, controls);
+        this.stepLinear(h, controls);
+
+        this.ship.position.addScaledVector(this.ship.velocity, h);
+    }
+
+    /**
+     * Rotation: torque -> angular velocity -> orientation
+     */
+    stepAngular(h, controls) {
+        const command = new THREE.Vector3(controls.pitch, controls.yaw, -controls.roll);
+        const omega = this.angularVelocity;
+
+        for (const axis of ['x', 'y', 'z']) {
+            let torque;
+
+            if (this.mode === FLIGHT_MODES.ARCADE) {
+                // Chase the commanded rate; centered stick stops the rotation
+                const target = command[axis] * this.maxAngularRate[axis];
+                torque = (target - omega[axis]) * this.rateResponse * this.inertia[axis];
+                torque = Math.max(-this.maxTorque[axis], Math.min(this.maxTorque[axis], torque));
+            } else {
+                torque = command[axis] * this.maxTorque[axis];
+            }
+
+            omega[axis] += torque / this.inertia[axis] * h;
+
+            // Keep Newtonian spins recoverable
+            const cap = this.maxAngularRate[axis] * 2;
+            omega[axis] = Math.max(-cap, Math.min(cap, omega[axis]));
+        }
+
+        // Integrate orientation in the body frame
+        const angle = omega.length() * h;
+        if (angle > 0) {
+            this.deltaRotation.setFromAxisAngle(omega.clone().normalize(), angle);
+            this.ship.quaternion.multiply(this.deltaRotation).normalize();
+        }
+    }
+
+    /**
+     * Translation: main engine, strafe thrusters and assist damping
+     */
+    stepLinear(h, controls) {
+        const ship = this.ship;
+        const velocity = ship.velocity;
+
+        this.forward.set(0, 0, -1).applyQuaternion(ship.quaternion);
+        this.right.copy(AXIS_X).applyQuaternion(ship.quaternion);
+        this.up.copy(AXIS_Y).applyQuaternion(ship.quaternion);
+
+        const boost = controls.boost ? ship.boostMultiplier : 1;
+        const acceleration = ship.acceleration * boost / ship.mass;
+        const strafeAcceleration = ship.acceleration * this.strafeRatio / ship.mass;
+        const maxSpeed = ship.maxSpeed * boost;
+
+        // Strafe thrusters
+        velocity.addScaledVector(this.right, controls.strafe.x * strafeAcceleration * h);
+        velocity.addScaledVector(this.up, controls.strafe.y * strafeAcceleration * h);
+
+        if (this.mode === FLIGHT_MODES.ARCADE) {
+            this.stepArcade(h, controls, acceleration, maxSpeed);
+        } else {
+            this.stepNewtonian(h, controls, acceleration, maxSpeed);
+        }
+    }
+
+    /**
+     * Arcade assist: target speeds, drift damping, speed cap
+     */
+    stepArcade(h, controls, acceleration, maxSpeed) {
+        const ship = this.ship;
+        const velocity = ship.velocity;
+        const analog = controls.throttle !== null && !controls.boost;
+
+        // Main engine
+        const forwardSpeed = velocity.dot(this.forward);
+        const targetSpeed = analog ? controls.throttle * maxSpeed : maxSpeed;
+        const engineOn = analog || controls.thrust || controls.boost;
+
+        if (engineOn && forwardSpeed < targetSpeed) {
+            velocity.addScaledVector(this.forward, Math.min(acceleration * h, targetSpeed - forwardSpeed));
+        } else if (analog && forwardSpeed > targetSpeed) {
+            // Bleed off speed - harder the further the throttle is pulled back
+            const braking = ship.deceleration * 0.01 * (1 - controls.throttle);
+            const slowed = targetSpeed + (forwardSpeed - targetSpeed) * Math.exp(-braking * h);
+            velocity.addScaledVector(this.forward, slowed - forwardSpeed);
+        } else if (!engineOn) {
+            velocity.multiplyScalar(Math.exp(-this.coastDrag * h));
+        }
+
+        if (controls.brake) {
+            velocity.multiplyScalar(Math.exp(-ship.deceleration * 0.01 * h));
+        }
+
+        // Drift damping on axes without strafe input
+        const damping = 1 - Math.exp(-this.driftDamping * h);
+        if (controls.strafe.x === 0) {
+            velocity.addScaledVector(this.right, -velocity.dot(this.right) * damping);
+        }
+        if (controls.strafe.y === 0) {
+            velocity.addScaledVector(this.up, -velocity.dot(this.up) * damping);
+        }
+
+        // Speed cap
+        const speed = velocity.length();
+        if (speed > maxSpeed) {
+            velocity.setLength(maxSpeed + (speed - maxSpeed) * Math.exp(-this.overspeedDrag * h));
+        }
+    }
+
+    /**
+     * Newtonian: thrust only, momentum conserved
+     */
+    stepNewtonian(h, controls, acceleration, maxSpeed) {
+        const velocity = this.ship.velocity;
+
+        // Main engine - analog throttle sets thrust, not speed
+        const thrust = controls.boost ? 1 : (controls.throttle !== null ? controls.throttle : (controls.thrust ? 1 : 0));
+        velocity.addScaledVector(this.forward, thrust * acceleration * h);
+
+        // Brake fires retro thrusters against the current velocity
+        if (controls.brake) {
+            const speed = velocity.length();
+            if (speed > 0) {
+                velocity.setLength(Math.max(0, speed - acceleration * h));
+            }
+        }
+
+        const cap = maxSpeed * this.newtonianSpeedCap;
+        if (velocity.length() > cap) {
+            velocity.setLength(cap);
+        }
+    }
+
+    /**
+     * Stop all motion (e.g. at the start of a run)
+     */
+    reset() {
+        this.angularVelocity.set(0, 0, 0);
+        this.accumulator = 0;
+    }
+
+    /**
+     * Load the saved flight mode
+     */
+    static loadMode() {
+        try {
+            const mode = localStorage.getItem(MODE_KEY);
+            return Object.values(FLIGHT_MODES).includes(mode) ? mode : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Persist the flight mode
+     */
+    static saveMode(mode) {
+        try {
+            localStorage.setItem(MODE_KEY, mode);
+        } catch (e) {
+            console.warn('Could not save flight mode');
+        }
+    }
+}
+
+export default FlightModel;
@@ -0,0 +1,321 @@
+/**
+ * AETHELGARD: EVENT HORIZON
+ * Gadgets Module
+ *
+ * Implements the player ship's tactical gadgets:
+ * - Shroud: Cloak - enemies lose track of the ship
+ * - EMP: Disables enemies and destroys projectiles in a radius
+ * - Decoy: Holographic copy of the ship that draws enemy fire
+ *
+ * Timers are advanced by update(), so they hold while the game is paused.
+ */
+
+import * as THREE from 'three';
+
+// HUD slot order
+export const GADGET_SLOTS = ['shroud', 'emp', 'decoy'];
+
+export class Gadgets {
+    constructor(scene, ship, waveManager) {
+        this.scene = scene;
+        this.ship = ship;
+        this.waveManager = waveManager;
+
+        // Gadget stats (times in ms)
+        this.gadgets = {
+            shroud: {
+                name: 'SHROUD',
+                cooldown: 15000,
+                energyCost: 40,
+                duration: 5000,
+                cooldownRemaining: 0,
+                activeRemaining: 0
+            },
+            emp: {
+                name: 'EMP',
+                cooldown: 20000,
+                energyCost: 50,
+                duration: 600, // Shockwave animation
+                radius: 600,
+                disableDuration: 4000,
+                cooldownRemaining: 0,
+                activeRemaining: 0
+            },
+            decoy: {
+                name: 'DECOY',
+                cooldown: 18000,
+                energyCost: 35,
+                duration: 8000,
+                lureChance: 0.75, // Chance each enemy goes for the decoy
+                cooldownRemaining: 0,
+                activeRemaining: 0
+            }
+        };
+
+        // Active effects
+        this.shroudGhost = null;
+        this.decoy = null;
+        this.empWave = null;
+        this.decoyCount = 0;
+
+        console.log('🛰️ Gadget systems online');
+    }
+
+    /**
+     * Trigger a gadget. Returns false if cooling down or short on energy.
+     */
+    use(id) {
+        const gadget = this.gadgets[id];
+        if (!gadget) return false;
+
+        if (gadget.cooldownRemaining > 0) return false;
+        if (this.ship.energy < gadget.energyCost) return false;
+
+        switch (id) {
+            case 'shroud':
+                this.activateShroud();
+                break;
+            case 'emp':
+                this.activateEMP();
+                break;
+            case 'decoy':
+                this.deployDecoy();
+                break;
+        }
+
+        this.ship.energy -= gadget.energyCost;
+        gadget.cooldownRemaining = gadget.cooldown;
+        gadget.activeRemaining = gadget.duration;
+
+        return true;
+    }
+
+    /**
+     * Cloak the ship
+     */
+    activateShroud() {
+        this.ship.isCloaked = true;
+        this.ship.mesh.visible = false;
+
+        // Faint shimmer so the pilot can still see their ship
+        if (!this.shroudGhost) {
+            this.shroudGhost = this.createHologram(0x88ccff, 0.12);
+        }
+        this.shroudGhost.visible = true;
+    }
+
+    /**
+     * Drop the cloak
+     */
+    endShroud() {
+        this.ship.isCloaked = false;
+        this.ship.mesh.visible = true;
+
+        if (this.shroudGhost) {
+            this.shroudGhost.visible = false;
+        }
+    }
+
+    /**
+     * Release an EMP pulse around the ship
+     */
+    activateEMP() {
+        const emp = this.gadgets.emp;
+        const disabled = this.waveManager.disableInRadius(
+            this.ship.position,
+            emp.radius,
+            emp.disableDuration
+        );
+
+        console.log(`💥 EMP disabled ${disabled} enemies`);
+
+        // Expanding shockwave sphere
+        if (!this.empWave) {
+            const geometry = new THREE.SphereGeometry(1, 32, 16);
+            const material = new THREE.MeshBasicMaterial({
+                color: 0x66aaff,
+                transparent: true,
+                opacity: 0.5,
+                wireframe: true,
+                depthWrite: false
+            });
+            this.empWave = new THREE.Mesh(geometry, material);
+            this.scene.add(this.empWave);
+        }
+
+        this.empWave.position.copy(this.ship.position);
+        this.empWave.visible = true;
+    }
+
+    /**
+     * Launch a holographic copy of the ship along its heading
+     */
+    deployDecoy() {
+        this.removeDecoy();
+
+        const forward = new THREE.Vector3(0, 0, -1).applyQuaternion(this.ship.quaternion);
+        const speed = Math.max(200, this.ship.getSpeed());
+
+        const mesh = this.createHologram(0x00f0ff, 0.6);
+        mesh.position.copy(this.ship.position);
+        mesh.quaternion.copy(this.ship.quaternion);
+
+        // Enemies target anything with a position
+        this.decoy = {
+            id: ++this.decoyCount,
+            position: mesh.position,
+            velocity: forward.multiplyScalar(speed),
+            lureChance: this.gadgets.decoy.lureChance,
+            mesh
+        };
+    }
+
+    /**
+     * Remove the decoy from the scene
+     */
+    removeDecoy() {
+        if (!this.decoy) return;
+
+        this.scene.remove(this.decoy.mesh);
+        this.decoy = null;
+    }
+
+    /**
+     * Wireframe copy of the ship mesh
+     */
+    createHologram(color, opacity) {
+        const material = new THREE.MeshBasicMaterial({
+            color,
+            transparent: true,
+            opacity,
+            wireframe: true,
+            depthWrite: false
+        });
+
+        const hologram = this.ship.mesh.clone();
+        hologram.visible = true;
+        hologram.userData.material = material;
+        hologram.traverse(child => {
+            // Damage sparks stay on the real ship
+            if (child.isPoints) {
+                child.visible = false;
+            } else if (child.material) {
+                child.material = material;
+            }
+        });
+
+        this.scene.add(hologram);
+        return hologram;
+    }
+
+    /**
+     * Update timers and effects
+     */
+    update(deltaTime) {
+        const dt = deltaTime * 0.001;
+
+        for (const [id, gadget] of Object.entries(this.gadgets)) {
+            gadget.cooldownRemaining = Math.max(0, gadget.cooldownRemaining - deltaTime);
+
+            if (gadget.activeRemaining > 0) {
+                gadget.activeRemaining = Math.max(0, gadget.activeRemaining - deltaTime);
+                if (gadget.activeRemaining === 0) {
+                    this.expire(id);
+                }
+            }
+        }
+
+        // Shroud shimmer follows the ship
+        if (this.ship.isCloaked && this.shroudGhost) {
+            this.shroudGhost.position.copy(this.ship.mesh.position);
+            this.shroudGhost.quaternion.copy(this.ship.mesh.quaternion);
+            this.shroudGhost.userData.material.opacity = 0.08 + Math.random() * 0.08;
+        }
+
+        // EMP shockwave
+        const emp = this.gadgets.emp;
+        if (this.empWave && emp.activeRemaining > 0) {
+            const progress = 1 - emp.activeRemaining / emp.duration;
+            this.empWave.scale.setScalar(emp.radius * progress);
+            this.empWave.material.opacity = 0.5 * (1 - progress);
+        }
+
+        // Decoy flies straight on and flickers out at the end
+        if (this.decoy) {
+            this.decoy.position.addScaledVector(this.decoy.velocity, dt);
+
+            const remaining = this.gadgets.decoy.activeRemaining;
+            this.decoy.mesh.userData.material.opacity =
+                remaining < 1500 && Math.random() < 0.3 ? 0.2 : 0.6;
+        }
+    }
+
+    /**
+     * End a gadget's effect
+     */
+    expire(id) {
+        switch (id) {
+            case 'shroud':
+                this.endShroud();
+                break;
+            case 'emp':
+                if (this.empWave) this.empWave.visible = false;
+                break;
+            case 'decoy':
+                this.removeDecoy();
+                break;
+        }
+    }
+
+    /**
+     * Check if the ship is cloaked
+     */
+    isCloaked() {
+        return this.gadgets.shroud.activeRemaining > 0;
+    }
+
+    /**
+     * Get the active decoy (null if none)
+     */
+    getDecoy() {
+        return this.decoy;
+    }
+
+    /**
+     * Cooldown progress 0-1 per gadget (1 = ready)
+     */
+    getCooldownProgress(id) {
+        const gadget = this.gadgets[id];
+        if (!gadget) return 1;
+        return 1 - gadget.cooldownRemaining / gadget.cooldown;
+    }
+
+    /**
+     * Check if a gadget's effect is running
+     */
+    isActive(id) {
+        const gadget = this.gadgets[id];
+        return !!gadget && gadget.activeRemaining > 0;
+    }
+
+    /**
+     * End all effects and reset cooldowns
+     */
+    cleanup() {
+        for (const [id, gadget] of Object.entries(this.gadgets)) {
+            if (gadget.activeRemaining > 0) {
+                this.expire(id);
+            }
+            gadget.cooldownRemaining = 0;
+            gadget.activeRemaining = 0;
+        }
+
+        // The ship may have changed hull - rebuild the shimmer next time
+        if (this.shroudGhost) {
+            this.scene.remove(this.shroudGhost);
+            this.shroudGhost = null;
+        }
+    }
+}
+
+export default Gadgets;
@@ -0,0 +1,373 @@
+/**
+ * AETHELGARD: EVENT HORIZON
+ * Aurelian Hull
+ *
+ * The sentient prototype ship from a vanished civilization.
+ * Balanced all-rounder; its Overcharge ability floods the reactor.
+ */
+
+import * as THREE from 'three';
+
+export const AURELIAN = {
+    id: 'aurelian',
+    name: 'THE AURELIAN',
+    role: 'PROTOTYPE',
+    description: 'Balanced sentient prototype. Quick, agile and forgiving.',
+
+    stats: {
+        maxSpeed: 500,
+        acceleration: 150,
+        deceleration: 80,
+        boostMultiplier: 2.5,
+        maxHull: 100,
+        maxShield: 100,
+        maxEnergy: 100,
+        energyRegen: 10,
+        mass: 1
+    },
+
+    handling: {
+        inertia: [1, 1, 0.6],          // Pitch, yaw, roll
+        maxAngularRate: [1.6, 1.6, 2.5],
+        strafeRatio: 0.6
+    },
+
+    // Muzzle points per weapon (ship space, forward is -Z)
+    hardpoints: {
+        railgun: [new THREE.Vector3(10, -1, -9), new THREE.Vector3(-10, -1, -9)],
+        laser: [new THREE.Vector3(0, 3, -55)],
+        harpoon: [new THREE.Vector3(0, -2, -35)]
+    },
+
+    thrusters: [new THREE.Vector3(-7.5, 0, 22), new THREE.Vector3(7.5, 0, 22)],
+    thrusterScale: 1,
+    shieldRadius: 50,
+
+    ability: 'overcharge',
+
+    buildMesh
+};
+
+/**
+ * Build the ship mesh - HIGHLY DETAILED DESIGN
+ */
+function buildMesh() {
+    const shipGroup = new THREE.Group();
+
+    // ========== MAIN FUSELAGE ==========
+    // Sharp, angular main body with beveled edges
+    const fuselageShape = new THREE.Shape();
+    fuselageShape.moveTo(0, 0);
+    fuselageShape.lineTo(2, 0.5);
+    fuselageShape.lineTo(2, 1.5);
+    fuselageShape.lineTo(1.5, 2);
+    fuselageShape.lineTo(-1.5, 2);
+    fuselageShape.lineTo(-2, 1.5);
+    fuselageShape.lineTo(-2, 0.5);
+    fuselageShape.closePath();
+
+    const fuselageSettings = {
+        steps: 1,
+        depth: 12,
+        bevelEnabled: true,
+        bevelThickness: 0.3,
+        bevelSize: 0.2,
+        bevelSegments: 2
+    };
+
+    const fuselageGeo = new THREE.ExtrudeGeometry(fuselageShape, fuselageSettings);
+    fuselageGeo.rotateX(-Math.PI / 2);
+    fuselageGeo.translate(0, 0, -6);
+
+    // Premium metallic material
+    const hullMaterial = new THREE.MeshStandardMaterial({
+        color: 0x2a3a4a,
+        metalness: 0.95,
+        roughness: 0.15,
+        envMapIntensity: 2.0
+    });
+
+    const fuselage = new THREE.Mesh(fuselageGeo, hullMaterial);
+    fuselage.scale.set(3, 3, 3);
+    shipGroup.add(fuselage);
+
+    // ========== NOSE CONE ==========
+    const noseGeo = new THREE.ConeGeometry(5, 25, 6);
+    noseGeo.rotateX(Math.PI / 2);
+    noseGeo.translate(0, 3, -42);
+
+    const noseMaterial = new THREE.MeshStandardMaterial({
+        color: 0x1a2a3a,
+        metalness: 0.98,
+        roughness: 0.08
+    });
+
+    const nose = new THREE.Mesh(noseGeo, noseMaterial);
+    shipGroup.add(nose);
+
+    // ========== COCKPIT CANOPY ==========
+    // Sleek bubble canopy with reflective glass
+    const cockpitGeo = new THREE.SphereGeometry(4, 32, 16, 0, Math.PI * 2, 0, Math.PI / 2);
+    const cockpitMaterial = new THREE.MeshPhysicalMaterial({
+        color: 0x00ddff,
+        metalness: 0.1,
+        roughness: 0.05,
+        transmission: 0.6,
+        thickness: 0.5,
+        clearcoat: 1.0,
+        clearcoatRoughness: 0.1,
+        emissive: 0x003344,
+        emissiveIntensity: 0.4
+    });
+
+    const cockpit = new THREE.Mesh(cockpitGeo, cockpitMaterial);
+    cockpit.position.set(0, 6, -25);
+    cockpit.scale.set(1.2, 0.6, 2);
+    cockpit.rotation.x = -0.1;
+    shipGroup.add(cockpit);
+
+    // Cockpit frame
+    const frameGeo = new THREE.TorusGeometry(4, 0.3, 8, 12, Math.PI);
+    const frameMaterial = new THREE.MeshStandardMaterial({
+        color: 0x111111,
+        metalness: 0.9,
+        roughness: 0.3
+    });
+    const cockpitFrame = new THREE.Mesh(frameGeo, frameMaterial);
+    cockpitFrame.position.set(0, 5, -25);
+    cockpitFrame.scale.set(1.3, 0.8, 2);
+    cockpitFrame.rotation.x = -Math.PI / 2;
+    shipGroup.add(cockpitFrame);
+
+    // ========== MAIN WINGS ==========
+    // Sharp, swept-back wings with detail panels
+    const wingShape = new THREE.Shape();
+    wingShape.moveTo(0, 0);
+    wingShape.lineTo(18, -3);
+    wingShape.lineTo(20, -2);
+    wingShape.lineTo(20, 0);
+    wingShape.lineTo(18, 1);
+    wingShape.lineTo(5, 2);
+    wingShape.lineTo(0, 1);
+    wingShape.closePath();
+
+    const wingSettings = {
+        steps: 1,
+        depth: 1.5,
+        bevelEnabled: true,
+        bevelThickness: 0.2,
+        bevelSize: 0.1,
+        bevelSegments: 1
+    };
+
+    // Right wing
+    const rightWingGeo = new THREE.ExtrudeGeometry(wingShape, wingSettings);
+    rightWingGeo.rotateX(-Math.PI / 2);
+    rightWingGeo.translate(3, 0, 5);
+
+    const wingMaterial = new THREE.MeshStandardMaterial({
+        color: 0x1e2e3e,
+        metalness: 0.9,
+        roughness: 0.2
+    });
+
+    const rightWing = new THREE.Mesh(rightWingGeo, wingMaterial);
+    shipGroup.add(rightWing);
+
+    // Left wing (mirrored)
+    const leftWingGeo = rightWingGeo.clone();
+    leftWingGeo.scale(-1, 1, 1);
+    const leftWing = new THREE.Mesh(leftWingGeo, wingMaterial);
+    shipGroup.add(leftWing);
+
+    // ========== WING DETAIL PANELS ==========
+    const panelGeo = new THREE.BoxGeometry(8, 0.3, 3);
+    const panelMaterial = new THREE.MeshStandardMaterial({
+        color: 0x0a1a2a,
+        metalness: 0.95,
+        roughness: 0.1
+    });
+
+    // Right wing panels
+    for (let i = 0; i < 3; i++) {
+        const panel = new THREE.Mesh(panelGeo, panelMaterial);
+        panel.position.set(8 + i * 4, 0.8, 3 - i * 2);
+        panel.rotation.z = -0.05;
+        shipGroup.add(panel);
+
+        // Left wing panels
+        const leftPanel = panel.clone();
+        leftPanel.position.x *= -1;
+        leftPanel.rotation.z *= -1;
+        shipGroup.add(leftPanel);
+    }
+
+    // ========== ENGINE NACELLES ==========
+    const nacelleGeo = new THREE.CylinderGeometry(2.5, 3, 15, 12);
+    nacelleGeo.rotateX(Math.PI / 2);
+
+    const nacelleMaterial = new THREE.MeshStandardMaterial({
+        color: 0x2a3a4a,
+        metalness: 0.9,
+        roughness: 0.15
+    });
+
+    // Right nacelle
+    const rightNacelle = new THREE.Mesh(nacelleGeo, nacelleMaterial);
+    rightNacelle.position.set(8, 0, 15);
+    shipGroup.add(rightNacelle);
+
+    // Left nacelle
+    const leftNacelle = rightNacelle.clone();
+    leftNacelle.position.x = -8;
+    shipGroup.add(leftNacelle);
+
+    // ========== ENGINE EXHAUSTS (Glowing) ==========
+    const exhaustGeo = new THREE.CylinderGeometry(2, 2.5, 3, 16);
+    exhaustGeo.rotateX(Math.PI / 2);
+
+    const exhaustMaterial = new THREE.MeshBasicMaterial({
+        color: 0x00f0ff,
+        transparent: true,
+        opacity: 0.9
+    });
+
+    const rightExhaust = new THREE.Mesh(exhaustGeo, exhaustMaterial);
+    rightExhaust.position.set(8, 0, 23);
+    shipGroup.add(rightExhaust);
+
+    const leftExhaust = rightExhaust.clone();
+    leftExhaust.position.x = -8;
+    shipGroup.add(leftExhaust);
+
+    // Inner exhaust glow
+    const innerExhaustGeo = new THREE.CylinderGeometry(1.2, 1.8, 4, 16);
+    innerExhaustGeo.rotateX(Math.PI / 2);
+
+    const innerExhaustMat = new THREE.MeshBasicMaterial({
+        color: 0xffffff,
+        transparent: true,
+        opacity: 0.95
+    });
+
+    const rightInnerExhaust = new THREE.Mesh(innerExhaustGeo, innerExhaustMat);
+    rightInnerExhaust.position.set(8, 0, 24);
+    shipGroup.add(rightInnerExhaust);
+
+    const leftInnerExhaust = rightInnerExhaust.clone();
+    leftInnerExhaust.position.x = -8;
+    shipGroup.add(leftInnerExhaust);
+
+    // ========== DORSAL FIN ==========
+    const finShape = new THREE.Shape();
+    finShape.moveTo(0, 0);
+    finShape.lineTo(-5, 8);
+    finShape.lineTo(-3, 8);
+    finShape.lineTo(4, 0);
+    finShape.closePath();
+
+    const finSettings = { steps: 1, depth: 0.8, bevelEnabled: true, bevelThickness: 0.1, bevelSize: 0.1, bevelSegments: 1 };
+    const finGeo = new THREE.ExtrudeGeometry(finShape, finSettings);
+    finGeo.rotateY(-Math.PI / 2);
+    finGeo.translate(0, 3, 5);
+
+    const fin = new THREE.Mesh(finGeo, hullMaterial);
+    shipGroup.add(fin);
+
+    // ========== DETAIL LINES (Accent strips) ==========
+    const accentGeo = new THREE.BoxGeometry(0.3, 0.2, 20);
+    const accentMaterial = new THREE.MeshBasicMaterial({
+        color: 0xff00aa,
+        transparent: true,
+        opacity: 0.9
+    });
+
+    // Top accent lines
+    const topAccent = new THREE.Mesh(accentGeo, accentMaterial);
+    topAccent.position.set(0, 7, -5);
+    shipGroup.add(topAccent);
+
+    // Wing edge lights
+    const wingLightGeo = new THREE.BoxGeometry(12, 0.15, 0.4);
+    const wingLightMat = new THREE.MeshBasicMaterial({
+        color: 0x00f0ff,
+        transparent: true,
+        opacity: 0.8
+    });
+
+    const rightWingLight = new THREE.Mesh(wingLightGeo, wingLightMat);
+    rightWingLight.position.set(12, 0.5, 0);
+    rightWingLight.rotation.z = -0.1;
+    shipGroup.add(rightWingLight);
+
+    const leftWingLight = rightWingLight.clone();
+    leftWingLight.position.x = -12;
+    leftWingLight.rotation.z = 0.1;
+    shipGroup.add(leftWingLight);
+
+    // ========== WEAPON HARDPOINTS ==========
+    const weaponGeo = new THREE.CylinderGeometry(0.4, 0.6, 8, 8);
+    weaponGeo.rotateX(Math.PI / 2);
+
+    const weaponMaterial = new THREE.MeshStandardMaterial({
+        color: 0x111111,
+        metalness: 0.95,
+        roughness: 0.2
+    });
+
+    // Under-wing weapons
+    const rightWeapon = new THREE.Mesh(weaponGeo, weaponMaterial);
+    rightWeapon.position.set(10, -1, -5);
+    shipGroup.add(rightWeapon);
+
+    const leftWeapon = rightWeapon.clone();
+    leftWeapon.position.x = -10;
+    shipGroup.add(leftWeapon);
+
+    // ========== SENSOR ARRAY ==========
+    const sensorGeo = new THREE.BoxGeometry(3, 0.5, 1);
+    const sensorMat = new THREE.MeshStandardMaterial({
+        color: 0x00ff88,
+        emissive: 0x00ff88,
+        emissiveIntensity: 0.5,
+        metalness: 0.8,
+        roughness: 0.2
+    });
+
+    const sensor = new THREE.Mesh(sensorGeo, sensorMat);
+    sensor.position.set(0, 4, -35);
+    shipGroup.add(sensor);
+
+    // ========== POSITION LIGHTS ==========
+    const posLightGeo = new THREE.SphereGeometry(0.5, 8, 8);
+
+    // Red port light
+    const portLight = new THREE.Mesh(posLightGeo, new THREE.MeshBasicMaterial({ color: 0xff0000 }));
+    portLight.position.set(-20, 0, 0);
+    shipGroup.add(portLight);
+
+    // Green starboard light
+    const starboardLight = new THREE.Mesh(posLightGeo, new THREE.MeshBasicMaterial({ color: 0x00ff00 }));
+    starboardLight.position.set(20, 0, 0);
+    shipGroup.add(starboardLight);
+
+    // White tail light
+    const tailLight = new THREE.Mesh(posLightGeo, new THREE.MeshBasicMaterial({ color: 0xffffff }));
+    tailLight.position.set(0, 5, 20);
+    shipGroup.add(tailLight);
+
+
+    return {
+        mesh: shipGroup,
+        engines: [rightExhaust, leftExhaust, rightInnerExhaust, leftInnerExhaust],
+        accents: [topAccent, rightWingLight, leftWingLight],
+        positionLights: [portLight, starboardLight, tailLight],
+        damageParts: {
+            engines: [rightNacelle, leftNacelle],
+            weapons: [rightWeapon, leftWeapon],
+            sensors: [sensor]
+        }
+    };
+}
+
+export default AURELIAN;
@@ -0,0 +1,242 @@
+/**
+ * AETHELGARD: EVENT HORIZON
+ * Bastion Hull
+ *
+ * Heavy gunship. Slow to turn but armored, with four railgun pods
+ * that can all fire at once with its Broadside ability.
+ */
+
+import * as THREE from 'three';
+
+export const BASTION = {
+    id: 'bastion',
+    name: 'THE BASTION',
+    role: 'HEAVY GUNSHIP',
+    description: 'Armored gun platform. Slow to turn, hard to kill, four railgun pods.',
+
+    stats: {
+        maxSpeed: 380,
+        acceleration: 100,
+        deceleration: 60,
+        boostMultiplier: 2,
+        maxHull: 180,
+        maxShield: 140,
+        maxEnergy: 120,
+        energyRegen: 9,
+        mass: 1.6
+    },
+
+    handling: {
+        inertia: [1.6, 1.8, 1.2],      // Pitch, yaw, roll
+        maxAngularRate: [1.1, 1, 1.6],
+        strafeRatio: 0.4
+    },
+
+    // Muzzle points per weapon (ship space, forward is -Z)
+    hardpoints: {
+        railgun: [
+            new THREE.Vector3(16, -2, -22),
+            new THREE.Vector3(-16, -2, -22),
+            new THREE.Vector3(22, 2, -18),
+            new THREE.Vector3(-22, 2, -18)
+        ],
+        laser: [new THREE.Vector3(0, -3, -38)],
+        harpoon: [new THREE.Vector3(0, 6, -30)]
+    },
+
+    thrusters: [
+        new THREE.Vector3(-10, 0, 30),
+        new THREE.Vector3(0, 0, 30),
+        new THREE.Vector3(10, 0, 30)
+    ],
+    thrusterScale: 1.2,
+    shieldRadius: 65,
+
+    ability: 'broadside',
+
+    buildMesh
+};
+
+/**
+ * Build the ship mesh - slab-sided armored hull
+ */
+function buildMesh() {
+    const shipGroup = new THREE.Group();
+
+    // ========== ARMORED HULL ==========
+    const hullMaterial = new THREE.MeshStandardMaterial({
+        color: 0x3a3a34,
+        metalness: 0.85,
+        roughness: 0.35
+    });
+
+    const hullGeo = new THREE.BoxGeometry(16, 9, 52);
+    const hull = new THREE.Mesh(hullGeo, hullMaterial);
+    shipGroup.add(hull);
+
+    // Sloped bow
+    const bowGeo = new THREE.CylinderGeometry(4, 8, 14, 4);
+    bowGeo.rotateX(-Math.PI / 2);
+    bowGeo.rotateZ(Math.PI / 4);
+    const bow = new THREE.Mesh(bowGeo, hullMaterial);
+    bow.position.set(0, -0.5, -32);
+    bow.scale.set(1.4, 0.8, 1);
+    shipGroup.add(bow);
+
+    // ========== ARMOR PLATES ==========
+    const plateMaterial = new THREE.MeshStandardMaterial({
+        color: 0x4a4a40,
+        metalness: 0.8,
+        roughness: 0.4
+    });
+    const plateGeo = new THREE.BoxGeometry(18, 1, 10);
+
+    for (let i = 0; i < 4; i++) {
+        const plate = new THREE.Mesh(plateGeo, plateMaterial);
+        plate.position.set(0, 5, -18 + i * 12);
+        shipGroup.add(plate);
+    }
+
+    // ========== BRIDGE ==========
+    const bridgeGeo = new THREE.BoxGeometry(8, 4, 10);
+    const bridge = new THREE.Mesh(bridgeGeo, hullMaterial);
+    bridge.position.set(0, 7.5, 4);
+    shipGroup.add(bridge);
+
+    const windowGeo = new THREE.BoxGeometry(7, 1, 0.5);
+    const windowMaterial = new THREE.MeshStandardMaterial({
+        color: 0xffaa00,
+        emissive: 0xffaa00,
+        emissiveIntensity: 0.6
+    });
+    const bridgeWindow = new THREE.Mesh(windowGeo, windowMaterial);
+    bridgeWindow.position.set(0, 8, -1.2);
+    shipGroup.add(bridgeWindow);
+
+    // ========== STUB WINGS ==========
+    const wingGeo = new THREE.BoxGeometry(14, 2, 18);
+    const wingMaterial = new THREE.MeshStandardMaterial({
+        color: 0x2e2e2a,
+        metalness: 0.85,
+        roughness: 0.3
+    });
+
+    const rightWing = new THREE.Mesh(wingGeo, wingMaterial);
+    rightWing.position.set(14, 0, -4);
+    shipGroup.add(rightWing);
+
+    const leftWing = rightWing.clone();
+    leftWing.position.x = -14;
+    shipGroup.add(leftWing);
+
+    // ========== RAILGUN PODS ==========
+    const podGeo = new THREE.CylinderGeometry(1.2, 1.6, 16, 8);
+    podGeo.rotateX(Math.PI / 2);
+
+    const weaponMaterial = new THREE.MeshStandardMaterial({
+        color: 0x151515,
+        metalness: 0.95,
+        roughness: 0.2
+    });
+
+    const podPositions = [
+        [16, -2, -14],
+        [-16, -2, -14],
+        [22, 2, -10],
+        [-22, 2, -10]
+    ];
+
+    const pods = podPositions.map(([x, y, z]) => {
+        const pod = new THREE.Mesh(podGeo, weaponMaterial);
+        pod.position.set(x, y, z);
+        shipGroup.add(pod);
+        return pod;
+    });
+
+    // ========== ENGINE BLOCK ==========
+    const engineGeo = new THREE.BoxGeometry(30, 8, 10);
+    const engineMaterial = new THREE.MeshStandardMaterial({
+        color: 0x34342e,
+        metalness: 0.9,
+        roughness: 0.25
+    });
+    const engineBlock = new THREE.Mesh(engineGeo, engineMaterial);
+    engineBlock.position.set(0, 0, 25);
+    shipGroup.add(engineBlock);
+
+    // ========== ENGINE EXHAUSTS (Glowing) ==========
+    const exhaustGeo = new THREE.CylinderGeometry(2.8, 3.2, 2, 16);
+    exhaustGeo.rotateX(Math.PI / 2);
+
+    const exhaustMaterial = new THREE.MeshBasicMaterial({
+        color: 0x00f0ff,
+        transparent: true,
+        opacity: 0.9
+    });
+
+    const exhausts = [-10, 0, 10].map(x => {
+        const exhaust = new THREE.Mesh(exhaustGeo, exhaustMaterial);
+        exhaust.position.set(x, 0, 30.5);
+        shipGroup.add(exhaust);
+        return exhaust;
+    });
+
+    // ========== SENSOR DOME ==========
+    const sensorGeo = new THREE.SphereGeometry(2.5, 16, 8, 0, Math.PI * 2, 0, Math.PI / 2);
+    const sensorMat = new THREE.MeshStandardMaterial({
+        color: 0x00ff88,
+        emissive: 0x00ff88,
+        emissiveIntensity: 0.5,
+        metalness: 0.8,
+        roughness: 0.2
+    });
+
+    const sensor = new THREE.Mesh(sensorGeo, sensorMat);
+    sensor.position.set(0, 4.5, -24);
+    shipGroup.add(sensor);
+
+    // ========== DETAIL LINES (Accent strips) ==========
+    const accentGeo = new THREE.BoxGeometry(0.4, 0.2, 40);
+    const accentMaterial = new THREE.MeshBasicMaterial({
+        color: 0xffaa00,
+        transparent: true,
+        opacity: 0.9
+    });
+
+    const rightAccent = new THREE.Mesh(accentGeo, accentMaterial);
+    rightAccent.position.set(8.1, 2, 0);
+    shipGroup.add(rightAccent);
+
+    const leftAccent = rightAccent.clone();
+    leftAccent.position.x = -8.1;
+    shipGroup.add(leftAccent);
+
+    // ========== POSITION LIGHTS ==========
+    const posLightGeo = new THREE.SphereGeometry(0.7, 8, 8);
+
+    const portLight = new THREE.Mesh(posLightGeo, new THREE.MeshBasicMaterial({ color: 0xff0000 }));
+    portLight.position.set(-21, 1, -4);
+    shipGroup.add(portLight);
+
+    const starboardLight = new THREE.Mesh(posLightGeo, new THREE.MeshBasicMaterial({ color: 0x00ff00 }));
+    starboardLight.position.set(21, 1, -4);
+    shipGroup.add(starboardLight);
+
+    const tailLight = new THREE.Mesh(posLightGeo, new THREE.MeshBasicMaterial({ color: 0xffffff }));
+    tailLight.position.set(0, 10, 9);
+    shipGroup.add(tailLight);
+
+    return {
+        mesh: shipGroup,
+        engines: exhausts,
+        accents: [rightAccent, leftAccent],
+        positionLights: [portLight, starboardLight, tailLight],
+        damageParts: {
+            engines: [engineBlock],
+            weapons: pods,
+            sensors: [sensor]
+        }
+    };
+}
+
+export default BASTION;
@@ -0,0 +1,234 @@
+/**
+ * AETHELGARD: EVENT HORIZON
+ * Kestrel Hull
+ *
+ * Light interceptor. Fast and twitchy with a paper-thin hull;
+ * its Blink ability jumps it straight ahead out of harm's way.
+ */
+
+import * as THREE from 'three';
+
+export const KESTREL = {
+    id: 'kestrel',
+    name: 'THE KESTREL',
+    role: 'INTERCEPTOR',
+    description: 'Needle-nosed interceptor. Fastest in the fleet, but a few hits will finish it.',
+
+    stats: {
+        maxSpeed: 650,
+        acceleration: 220,
+        deceleration: 110,
+        boostMultiplier: 2.8,
+        maxHull: 65,
+        maxShield: 70,
+        maxEnergy: 90,
+        energyRegen: 12,
+        mass: 0.7
+    },
+
+    handling: {
+        inertia: [0.7, 0.7, 0.4],      // Pitch, yaw, roll
+        maxAngularRate: [2.2, 2.2, 3.4],
+        strafeRatio: 0.8
+    },
+
+    // Muzzle points per weapon (ship space, forward is -Z)
+    hardpoints: {
+        railgun: [new THREE.Vector3(15, 0, -12), new THREE.Vector3(-15, 0, -12)],
+        laser: [new THREE.Vector3(0, 0, -46)],
+        harpoon: [new THREE.Vector3(0, -2, -28)]
+    },
+
+    thrusters: [new THREE.Vector3(0, 0, 20)],
+    thrusterScale: 0.9,
+    shieldRadius: 40,
+
+    ability: 'blink',
+
+    buildMesh
+};
+
+/**
+ * Build the ship mesh - needle fuselage, forward-swept wings
+ */
+function buildMesh() {
+    const shipGroup = new THREE.Group();
+
+    // ========== NEEDLE FUSELAGE ==========
+    const hullMaterial = new THREE.MeshStandardMaterial({
+        color: 0xd8dde4,
+        metalness: 0.7,
+        roughness: 0.25
+    });
+
+    const fuselageGeo = new THREE.CylinderGeometry(2.5, 3.5, 36, 10);
+    fuselageGeo.rotateX(Math.PI / 2);
+    const fuselage = new THREE.Mesh(fuselageGeo, hullMaterial);
+    shipGroup.add(fuselage);
+
+    const noseGeo = new THREE.ConeGeometry(2.5, 14, 10);
+    noseGeo.rotateX(-Math.PI / 2);
+    const nose = new THREE.Mesh(noseGeo, hullMaterial);
+    nose.position.set(0, 0, -25);
+    shipGroup.add(nose);
+
+    // ========== COCKPIT CANOPY ==========
+    const cockpitGeo = new THREE.SphereGeometry(2.5, 24, 12, 0, Math.PI * 2, 0, Math.PI / 2);
+    const cockpitMaterial = new THREE.MeshPhysicalMaterial({
+        color: 0xff3366,
+        metalness: 0.1,
+        roughness: 0.05,
+        transmission: 0.5,
+        clearcoat: 1.0,
+        emissive: 0x330011,
+        emissiveIntensity: 0.4
+    });
+
+    const cockpit = new THREE.Mesh(cockpitGeo, cockpitMaterial);
+    cockpit.position.set(0, 2.2, -10);
+    cockpit.scale.set(1, 0.7, 2.4);
+    shipGroup.add(cockpit);
+
+    // ========== FORWARD-SWEPT WINGS ==========
+    const wingShape = new THREE.Shape();
+    wingShape.moveTo(0, 0);
+    wingShape.lineTo(14, 8);
+    wingShape.lineTo(15, 6);
+    wingShape.lineTo(3, -4);
+    wingShape.lineTo(0, -4);
+    wingShape.closePath();
+
+    const wingSettings = { steps: 1, depth: 0.8, bevelEnabled: false };
+
+    const rightWingGeo = new THREE.ExtrudeGeometry(wingShape, wingSettings);
+    rightWingGeo.rotateX(-Math.PI / 2);
+    rightWingGeo.translate(2, 0, 6);
+
+    const wingMaterial = new THREE.MeshStandardMaterial({
+        color: 0xb8bec8,
+        metalness: 0.75,
+        roughness: 0.2
+    });
+
+    const rightWing = new THREE.Mesh(rightWingGeo, wingMaterial);
+    shipGroup.add(rightWing);
+
+    const leftWingGeo = rightWingGeo.clone();
+    leftWingGeo.scale(-1, 1, 1);
+    const leftWing = new THREE.Mesh(leftWingGeo, wingMaterial);
+    shipGroup.add(leftWing);
+
+    // ========== WINGTIP CANNONS ==========
+    const weaponGeo = new THREE.CylinderGeometry(0.4, 0.6, 10, 8);
+    weaponGeo.rotateX(Math.PI / 2);
+
+    const weaponMaterial = new THREE.MeshStandardMaterial({
+        color: 0x111111,
+        metalness: 0.95,
+        roughness: 0.2
+    });
+
+    const rightWeapon = new THREE.Mesh(weaponGeo, weaponMaterial);
+    rightWeapon.position.set(15, 0, -6);
+    shipGroup.add(rightWeapon);
+
+    const leftWeapon = rightWeapon.clone();
+    leftWeapon.position.x = -15;
+    shipGroup.add(leftWeapon);
+
+    // ========== ENGINE ==========
+    const engineGeo = new THREE.CylinderGeometry(3.5, 4, 8, 12);
+    engineGeo.rotateX(Math.PI / 2);
+
+    const engineMaterial = new THREE.MeshStandardMaterial({
+        color: 0x5a6270,
+        metalness: 0.9,
+        roughness: 0.15
+    });
+
+    const engine = new THREE.Mesh(engineGeo, engineMaterial);
+    engine.position.set(0, 0, 15);
+    shipGroup.add(engine);
+
+    // ========== ENGINE EXHAUST (Glowing) ==========
+    const exhaustGeo = new THREE.CylinderGeometry(2.5, 3, 2, 16);
+    exhaustGeo.rotateX(Math.PI / 2);
+
+    const exhaustMaterial = new THREE.MeshBasicMaterial({
+        color: 0x00f0ff,
+        transparent: true,
+        opacity: 0.9
+    });
+
+    const exhaust = new THREE.Mesh(exhaustGeo, exhaustMaterial);
+    exhaust.position.set(0, 0, 19.5);
+    shipGroup.add(exhaust);
+
+    // ========== TAIL FINS ==========
+    const finGeo = new THREE.BoxGeometry(0.6, 6, 6);
+    const rightFin = new THREE.Mesh(finGeo, hullMaterial);
+    rightFin.position.set(3, 3, 14);
+    rightFin.rotation.z = -0.4;
+    shipGroup.add(rightFin);
+
+    const leftFin = rightFin.clone();
+    leftFin.position.x = -3;
+    leftFin.rotation.z = 0.4;
+    shipGroup.add(leftFin);
+
+    // ========== SENSOR SPIKE ==========
+    const sensorGeo = new THREE.CylinderGeometry(0.2, 0.4, 6, 6);
+    sensorGeo.rotateX(Math.PI / 2);
+    const sensorMat = new THREE.MeshStandardMaterial({
+        color: 0x00ff88,
+        emissive: 0x00ff88,
+        emissiveIntensity: 0.5,
+        metalness: 0.8,
+        roughness: 0.2
+    });
+
+    const sensor = new THREE.Mesh(sensorGeo, sensorMat);
+    sensor.position.set(0, 0, -34);
+    shipGroup.add(sensor);
+
+    // ========== DETAIL LINES (Accent strips) ==========
+    const accentGeo = new THREE.BoxGeometry(0.3, 0.2, 24);
+    const accentMaterial = new THREE.MeshBasicMaterial({
+        color: 0xff3366,
+        transparent: true,
+        opacity: 0.9
+    });
+
+    const topAccent = new THREE.Mesh(accentGeo, accentMaterial);
+    topAccent.position.set(0, 3.2, 2);
+    shipGroup.add(topAccent);
+
+    // ========== POSITION LIGHTS ==========
+    const posLightGeo = new THREE.SphereGeometry(0.4, 8, 8);
+
+    const portLight = new THREE.Mesh(posLightGeo, new THREE.MeshBasicMaterial({ color: 0xff0000 }));
+    portLight.position.set(-16, 0.5, -10);
+    shipGroup.add(portLight);
+
+    const starboardLight = new THREE.Mesh(posLightGeo, new THREE.MeshBasicMaterial({ color: 0x00ff00 }));
+    starboardLight.position.set(16, 0.5, -10);
+    shipGroup.add(starboardLight);
+
+    const tailLight = new THREE.Mesh(posLightGeo, new THREE.MeshBasicMaterial({ color: 0xffffff }));
+    tailLight.position.set(0, 6, 16);
+    shipGroup.add(tailLight);
+
+    return {
+        mesh: shipGroup,
+        engines: [exhaust],
+        accents: [topAccent],
+        positionLights: [portLight, starboardLight, tailLight],
+        damageParts: {
+            engines: [engine],
+            weapons: [rightWeapon, leftWeapon],
+            sensors: [sensor]
+        }
+    };
+}
+
+export default KESTREL;
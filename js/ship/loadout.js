@@ -0,0 +1,177 @@
+/**
+ * AETHELGARD: EVENT HORIZON
+ * Loadout Module
+ *
+ * Persistent hangar state: credits earned across runs, the upgrade
+ * levels bought with them and the selected ship class. Upgrades scale
+ * the ship's and weapons' base stats when a run starts.
+ */
+
+import { SHIP_CLASSES, DEFAULT_SHIP_CLASS } from './shipClasses.js';
+
+const STORAGE_KEY = 'aethelgard.loadout';
+
+// Credits paid per point of score
+const CREDITS_PER_POINT = 0.1;
+
+export const MAX_UPGRADE_LEVEL = 5;
+
+// Upgrade tree. `group` is 'ship' or a weapon id; `stats` maps each
+// stat to its change per level (fraction of the base value).
+export const UPGRADES = [
+    { id: 'hull', group: 'ship', name: 'HULL PLATING', stats: { maxHull: 0.15 }, cost: 400 },
+    { id: 'shield', group: 'ship', name: 'SHIELD CAPACITOR', stats: { maxShield: 0.15 }, cost: 400 },
+    { id: 'energy', group: 'ship', name: 'REACTOR CORE', stats: { maxEnergy: 0.1, energyRegen: 0.15 }, cost: 500 },
+    { id: 'thrusters', group: 'ship', name: 'THRUSTERS', stats: { maxSpeed: 0.08, acceleration: 0.12 }, cost: 450 },
+
+    { id: 'railgun.damage', group: 'railgun', name: 'DAMAGE', stats: { damage: 0.15 }, cost: 300 },
+    { id: 'railgun.cooldown', group: 'railgun', name: 'FIRE RATE', stats: { cooldown: -0.1 }, cost: 300 },
+    { id: 'railgun.energyCost', group: 'railgun', name: 'EFFICIENCY', stats: { energyCost: -0.1 }, cost: 250 },
+
+    // The beam is continuous, so it has no cooldown to upgrade
+    { id: 'laser.damage', group: 'laser', name: 'DAMAGE', stats: { damage: 0.15 }, cost: 300 },
+    { id: 'laser.energyCost', group: 'laser', name: 'EFFICIENCY', stats: { energyCost: -0.1 }, cost: 250 },
+
+    { id: 'harpoon.damage', group: 'harpoon', name: 'DAMAGE', stats: { damage: 0.15 }, cost: 300 },
+    { id: 'harpoon.cooldown', group: 'harpoon', name: 'FIRE RATE', stats: { cooldown: -0.1 }, cost: 350 },
+    { id: 'harpoon.energyCost', group: 'harpoon', name: 'EFFICIENCY', stats: { energyCost: -0.1 }, cost: 250 }
+];
+
+export class Loadout {
+    constructor(credits = 0, levels = {}, shipClass = DEFAULT_SHIP_CLASS) {
+        this.credits = credits;
+        this.levels = {};
+        this.shipClass = SHIP_CLASSES.some(definition => definition.id === shipClass)
+            ? shipClass
+            : DEFAULT_SHIP_CLASS;
+
+        for (const upgrade of UPGRADES) {
+            const level = levels[upgrade.id];
+            this.levels[upgrade.id] = Number.isInteger(level)
+                ? Math.max(0, Math.min(MAX_UPGRADE_LEVEL, level))
+                : 0;
+        }
+    }
+
+    /**
+     * Get an upgrade definition by id
+     */
+    static getUpgrade(id) {
+        return UPGRADES.find(upgrade => upgrade.id === id) || null;
+    }
+
+    /**
+     * Get an upgrade's bought level
+     */
+    getLevel(id) {
+        return this.levels[id] || 0;
+    }
+
+    /**
+     * Price of the next level (null when maxed)
+     */
+    getCost(id) {
+        const upgrade = Loadout.getUpgrade(id);
+        const level = this.getLevel(id);
+        if (!upgrade || level >= MAX_UPGRADE_LEVEL) return null;
+        return upgrade.cost * (level + 1);
+    }
+
+    /**
+     * Check the next level is affordable
+     */
+    canBuy(id) {
+        const cost = this.getCost(id);
+        return cost !== null && this.credits >= cost;
+    }
+
+    /**
+     * Buy the next level of an upgrade. Returns false if unaffordable.
+     */
+    buy(id) {
+        if (!this.canBuy(id)) return false;
+
+        this.credits -= this.getCost(id);
+        this.levels[id]++;
+        return true;
+    }
+
+    /**
+     * Pay out credits for a run's score. Returns the amount earned.
+     */
+    earnCredits(score) {
+        const earned = Math.floor(score * CREDITS_PER_POINT);
+        this.credits += earned;
+        return earned;
+    }
+
+    /**
+     * Apply upgrade levels to the ship's and weapons' base stats
+     */
+    apply(ship, weapons) {
+        for (const upgrade of UPGRADES) {
+            const level = this.getLevel(upgrade.id);
+            const isShip = upgrade.group === 'ship';
+            const target = isShip ? ship : weapons.weapons[upgrade.group];
+            const base = isShip ? ship.baseStats : weapons.baseStats[upgrade.group];
+
+            for (const [stat, step] of Object.entries(upgrade.stats)) {
+                target[stat] = base[stat] * (1 + step * level);
+            }
+        }
+    }
+
+    /**
+     * Plain object for storage
+     */
+    toJSON() {
+        return {
+            credits: this.credits,
+            levels: this.levels,
+            shipClass: this.shipClass
+        };
+    }
+
+    /**
+     * Build from a plain object, dropping unknown or invalid entries
+     */
+    static fromJSON(data) {
+        const credits = data && Number.isFinite(data.credits) ? Math.max(0, data.credits) : 0;
+        return new Loadout(credits, (data && data.levels) || {}, data && data.shipClass);
+    }
+
+    /**
+     * Load the saved loadout, or null if none
+     */
+    static load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            return saved ? Loadout.fromJSON(saved) : null;
+        } catch (e) {
+            console.warn('Loadout unreadable, starting fresh');
+            return null;
+        }
+    }
+
+    /**
+     * Persist the loadout
+     */
+    static save(loadout) {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(loadout));
+        } catch (e) {
+            console.warn('Could not save loadout');
+        }
+    }
+
+    /**
+     * Remove the saved loadout
+     */
+    static clear() {
+        try {
+            localStorage.removeItem(STORAGE_KEY);
+        } catch (e) { }
+    }
+}
+
+export default Loadout;
@@ -0,0 +1,238 @@
+/**
+ * AETHELGARD: EVENT HORIZON
+ * Maneuvers Module
+ *
+ * Frame-driven evasive maneuvers for the player ship:
+ * - Barrel Roll: Corkscrew sideways out of the line of fire
+ * - Immelmann: Half loop and half roll - reverses heading, keeps speed
+ * - Boost Dash: Short burst of speed
+ *
+ * Each maneuver has a duration, an invulnerability window (ms from
+ * the start), a cooldown and an energy cost. Everything advances in
+ * update(), so maneuvers freeze with the game when it is paused.
+ */
+
+import * as THREE from 'three';
+
+const AXIS_X = new THREE.Vector3(1, 0, 0);
+const AXIS_Z = new THREE.Vector3(0, 0, 1);
+
+export class Maneuvers {
+    constructor(ship) {
+        this.ship = ship;
+
+        // Maneuver stats (times in ms)
+        this.maneuvers = {
+            barrelRoll: {
+                name: 'BARREL ROLL',
+                duration: 500,
+                invulnerability: { start: 50, end: 400 },
+                cooldown: 1200,
+                energyCost: 20,
+                distance: 120,       // Sideways displacement
+                cooldownRemaining: 0
+            },
+            immelmann: {
+                name: 'IMMELMANN',
+                duration: 900,
+                invulnerability: { start: 0, end: 300 },
+                cooldown: 3000,
+                energyCost: 25,
+                cooldownRemaining: 0
+            },
+            boostDash: {
+                name: 'BOOST DASH',
+                duration: 300,
+                invulnerability: { start: 0, end: 300 },
+                cooldown: 2000,
+                energyCost: 25,
+                impulse: 600,        // Added forward speed
+                cooldownRemaining: 0
+            }
+        };
+
+        // Running maneuver: { id, elapsed, direction, progress }
+        this.current = null;
+
+        // Visual roll offset for the mesh (radians about the nose)
+        this.visualRoll = 0;
+
+        // Callbacks
+        this.onStart = null;
+
+        // Scratch objects
+        this.stepRotation = new THREE.Quaternion();
+        this.worldRotation = new THREE.Quaternion();
+        this.offset = new THREE.Vector3();
+    }
+
+    /**
+     * Start a maneuver. Returns false if busy, cooling down or short on energy.
+     *
+     * direction: -1 / 1 (left / right) for the barrel roll
+     */
+    start(id, direction = 1) {
+        const maneuver = this.maneuvers[id];
+        if (!maneuver || this.current) return false;
+
+        if (maneuver.cooldownRemaining > 0) return false;
+        if (this.ship.energy < maneuver.energyCost) return false;
+
+        this.ship.energy -= maneuver.energyCost;
+        maneuver.cooldownRemaining = maneuver.cooldown;
+
+        this.current = {
+            id,
+            elapsed: 0,
+            direction: direction < 0 ? -1 : 1,
+            progress: 0
+        };
+
+        switch (id) {
+            case 'immelmann':
+                // The flip replaces any spin the pilot had going
+                this.ship.flight.angularVelocity.set(0, 0, 0);
+                break;
+            case 'boostDash':
+                this.ship.velocity.addScaledVector(this.ship.getForward(), maneuver.impulse);
+                break;
+        }
+
+        if (this.onStart) {
+            this.onStart(id);
+        }
+
+        return true;
+    }
+
+    /**
+     * Advance cooldowns and the running maneuver
+     */
+    update(deltaTime) {
+        for (const maneuver of Object.values(this.maneuvers)) {
+            maneuver.cooldownRemaining = Math.max(0, maneuver.cooldownRemaining - deltaTime);
+        }
+
+        this.visualRoll = 0;
+        if (!this.current) return;
+
+        const current = this.current;
+        const maneuver = this.maneuvers[current.id];
+
+        current.elapsed = Math.min(maneuver.duration, current.elapsed + deltaTime);
+        const progress = this.ease(current.elapsed / maneuver.duration);
+        const step = progress - current.progress;
+        current.progress = progress;
+
+        switch (current.id) {
+            case 'barrelRoll':
+                this.stepBarrelRoll(maneuver, current, progress, step);
+                break;
+            case 'immelmann':
+                this.stepImmelmann(progress, step);
+                break;
+        }
+
+        if (current.elapsed >= maneuver.duration) {
+            this.current = null;
+            this.visualRoll = 0;
+        }
+    }
+
+    /**
+     * Ease out (cubic)
+     */
+    ease(t) {
+        return 1 - Math.pow(1 - t, 3);
+    }
+
+    /**
+     * Barrel roll: slide sideways while the mesh spins a full turn
+     */
+    stepBarrelRoll(maneuver, current, progress, step) {
+        this.offset.copy(AXIS_X)
+            .applyQuaternion(this.ship.quaternion)
+            .multiplyScalar(maneuver.distance * step * current.direction);
+        this.ship.position.add(this.offset);
+
+        // Roll toward the dodge (negative z rolls right)
+        this.visualRoll = -Math.PI * 2 * progress * current.direction;
+    }
+
+    /**
+     * Immelmann: pitch up through a half loop, then roll upright.
+     * Velocity turns with the ship so speed carries into the new heading.
+     */
+    stepImmelmann(progress, step) {
+        // First half of the maneuver pitches, second half rolls
+        const pitchStep = Math.PI * (Math.min(progress, 0.5) - Math.min(progress - step, 0.5)) * 2;
+        const rollStep = Math.PI * (Math.max(progress, 0.5) - Math.max(progress - step, 0.5)) * 2;
+
+        this.rotateBody(AXIS_X, pitchStep);
+        this.rotateBody(AXIS_Z, rollStep);
+    }
+
+    /**
+     * Rotate the ship about a body axis, carrying its velocity along
+     */
+    rotateBody(axis, angle) {
+        if (angle === 0) return;
+
+        const quaternion = this.ship.quaternion;
+        this.stepRotation.setFromAxisAngle(axis, angle);
+
+        // Same rotation in world space: q * step * q^-1
+        this.worldRotation.copy(quaternion).multiply(this.stepRotation)
+            .multiply(quaternion.clone().invert());
+
+        quaternion.multiply(this.stepRotation).normalize();
+        this.ship.velocity.applyQuaternion(this.worldRotation);
+    }
+
+    /**
+     * Check if the running maneuver is inside its invulnerability window
+     */
+    isInvulnerable() {
+        if (!this.current) return false;
+
+        const frames = this.maneuvers[this.current.id].invulnerability;
+        return this.current.elapsed >= frames.start && this.current.elapsed <= frames.end;
+    }
+
+    /**
+     * Check if a maneuver is steering the ship (pilot rotation is ignored)
+     */
+    overridesRotation() {
+        return !!this.current && this.current.id === 'immelmann';
+    }
+
+    /**
+     * Check if a specific maneuver is running
+     */
+    isActive(id) {
+        return !!this.current && this.current.id === id;
+    }
+
+    /**
+     * Cooldown progress 0-1 (1 = ready)
+     */
+    getCooldownProgress(id) {
+        const maneuver = this.maneuvers[id];
+        if (!maneuver) return 1;
+        return 1 - maneuver.cooldownRemaining / maneuver.cooldown;
+    }
+
+    /**
+     * Cancel any maneuver and reset cooldowns
+     */
+    reset() {
+        this.current = null;
+        this.visualRoll = 0;
+
+        for (const maneuver of Object.values(this.maneuvers)) {
+            maneuver.cooldownRemaining = 0;
+        }
+    }
+}
+
+export default Maneuvers;
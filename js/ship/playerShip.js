@@ -0,0 +1,612 @@
+/**
+ * AETHELGARD: EVENT HORIZON
+ * Player Ship Module
+ * 
+ * The pilot's ship. Stats, handling, hardpoints and mesh come from a
+ * ship class definition (see shipClasses.js); the Aurelian is the default.
+ * Features physics-based movement and visual effects.
+ */
+
+import * as THREE from 'three';
+import { FlightModel } from './flightModel.js';
+import { ShieldSystem } from './shieldSystem.js';
+import { Maneuvers } from './maneuvers.js';
+import { DamageModel } from './damageModel.js';
+import { PowerDistribution } from './powerDistribution.js';
+import { getShipClass, DEFAULT_SHIP_CLASS } from './shipClasses.js';
+
+export class PlayerShip {
+    constructor(scene, definition = getShipClass(DEFAULT_SHIP_CLASS)) {
+        this.scene = scene;
+        this.definition = definition;
+
+        // Ship state
+        this.position = new THREE.Vector3(0, 0, 0);
+        this.velocity = new THREE.Vector3(0, 0, 0);
+        this.rotation = new THREE.Euler(0, 0, 0, 'YXZ'); // Derived from quaternion (y = heading)
+        this.quaternion = new THREE.Quaternion();
+
+        // Ship stats (maxSpeed, acceleration, deceleration, boostMultiplier,
+        // maxHull, maxShield, maxEnergy, energyRegen per second, mass)
+        this.applyStats(definition.stats);
+
+        // Ship status
+        this.hull = this.maxHull;
+        this.energy = this.maxEnergy;
+
+        // Control state
+        this.isThrusting = false;
+        this.isBraking = false;
+        this.isBoosting = false;
+        this.shieldHeld = false;
+        this.isInvulnerable = false; // Maneuver i-frames
+        this.lastGesture = 'IDLE';
+        this.isCloaked = false; // Shroud gadget
+
+        // Target aim position (0-1 screen coords)
+        this.aimPosition = { x: 0.5, y: 0.5 };
+
+        // Analog controls - throttle is null for digital THRUST/BRAKE
+        this.throttle = null;   // 0-1
+        this.rollInput = 0;     // -1 to 1
+        this.strafeInput = { x: 0, y: 0 }; // -1 to 1 per axis
+
+        // 6DOF flight model (arcade assist / Newtonian)
+        this.flight = new FlightModel(this);
+        this.flight.setHandling(definition.handling);
+
+        // Passive + active shields (uniform / directional)
+        this.shields = new ShieldSystem(this);
+
+        // Barrel roll, Immelmann and boost dash
+        this.maneuvers = new Maneuvers(this);
+
+        // Localized hull damage (engines, weapons, sensors)
+        this.damage = new DamageModel(this);
+
+        // Power routing between engines, shields and weapons
+        this.power = new PowerDistribution(this);
+
+        // Mesh components
+        this.mesh = null;
+        this.thrusters = [];
+        this.shieldMesh = null;
+
+        // Trail effect
+        this.trail = null;
+        this.trailPositions = [];
+
+        this.init();
+    }
+
+    init() {
+        this.createShipMesh();
+        this.createThrusters();
+        this.createShieldEffect();
+        this.createTrail();
+
+        console.log(`🚀 ${this.definition.name} initialized`);
+    }
+
+    /**
+     * Copy a definition's stats onto the ship
+     */
+    applyStats(stats) {
+        Object.assign(this, stats);
+
+        // Unupgraded stats - hangar upgrades scale these at launch
+        this.baseStats = { ...stats };
+        this.fit();
+    }
+
+    /**
+     * Keep the current stats as the fitted stats. Call after hangar upgrades.
+     */
+    fit() {
+        // Stats that subsystem damage and power routing scale
+        this.fittedStats = {
+            maxSpeed: this.maxSpeed,
+            acceleration: this.acceleration,
+            maxShield: this.maxShield,
+            maxEnergy: this.maxEnergy,
+            energyRegen: this.energyRegen
+        };
+    }
+
+    /**
+     * Scale the fitted stats by engine damage and power routing
+     */
+    refreshStats() {
+        const fitted = this.fittedStats;
+        const engines = this.damage.getEngineScale();
+
+        this.maxSpeed = fitted.maxSpeed * engines.speed * this.power.getScale('engines', 'cap');
+        this.acceleration = fitted.acceleration * engines.acceleration * this.power.getScale('engines', 'rate');
+
+        this.maxShield = fitted.maxShield * this.power.getScale('shields', 'cap');
+        this.shields.rechargeMultiplier = this.power.getScale('shields', 'rate');
+
+        this.maxEnergy = fitted.maxEnergy * this.power.getScale('weapons', 'cap');
+        this.energyRegen = fitted.energyRegen * this.power.getScale('weapons', 'rate');
+        this.energy = Math.min(this.energy, this.maxEnergy);
+    }
+
+    /**
+     * Swap to another ship class, rebuilding the mesh and effects
+     */
+    setHull(definition) {
+        if (definition === this.definition) return;
+
+        this.scene.remove(this.mesh);
+        this.thrusters = [];
+
+        this.definition = definition;
+        this.applyStats(definition.stats);
+        this.flight.setHandling(definition.handling);
+
+        this.createShipMesh();
+        this.createThrusters();
+        this.createShieldEffect();
+
+        console.log(`🚀 ${definition.name} initialized`);
+    }
+
+    /**
+     * Build the hull's mesh
+     */
+    createShipMesh() {
+        const parts = this.definition.buildMesh();
+
+        this.mesh = parts.mesh;
+        this.scene.add(this.mesh);
+
+        // Store references for animation
+        this.engines = parts.engines;
+        this.accents = parts.accents;
+        this.positionLights = parts.positionLights;
+
+        // Parts that show subsystem damage
+        this.damage.attachParts(parts.damageParts);
+    }
+
+    /**
+     * Create thruster particle effects
+     */
+    createThrusters() {
+        this.definition.thrusters.forEach(pos => {
+            const thrusterGroup = new THREE.Group();
+
+            // Core glow
+            const coreGeo = new THREE.ConeGeometry(3, 15, 8);
+            const coreMat = new THREE.MeshBasicMaterial({
+                color: 0x00f0ff,
+                transparent: true,
+                opacity: 0.8
+            });
+
+            const core = new THREE.Mesh(coreGeo, coreMat);
+            core.rotation.x = Math.PI / 2;
+            core.position.z = 7;
+            thrusterGroup.add(core);
+
+            // Outer glow
+            const outerGeo = new THREE.ConeGeometry(5, 20, 8);
+            const outerMat = new THREE.MeshBasicMaterial({
+                color: 0x00a0ff,
+                transparent: true,
+                opacity: 0.3
+            });
+
+            const outer = new THREE.Mesh(outerGeo, outerMat);
+            outer.rotation.x = Math.PI / 2;
+            outer.position.z = 10;
+            thrusterGroup.add(outer);
+
+            thrusterGroup.position.copy(pos);
+            thrusterGroup.scale.setScalar(this.definition.thrusterScale);
+            thrusterGroup.visible = false;
+
+            this.mesh.add(thrusterGroup);
+            this.thrusters.push({
+                group: thrusterGroup,
+                core,
+                outer
+            });
+        });
+    }
+
+    /**
+     * Create shield visual effect
+     */
+    createShieldEffect() {
+        const geometry = new THREE.IcosahedronGeometry(this.definition.shieldRadius, 2);
+
+        const material = new THREE.ShaderMaterial({
+            uniforms: {
+                time: { value: 0 },
+                color: { value: new THREE.Color(0x00f0ff) },
+                hitPoint: { value: new THREE.Vector3(0, 0, 0) },
+                hitTime: { value: -10 }
+            },
+            vertexShader: `
+                varying vec3 vNormal;
+                varying vec3 vPosition;
+                
+                void main() {
+                    vNormal = normalize(normalMatrix * normal);
+                    vPosition = position;
+                    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+                }
+            `,
+            fragmentShader: `
+                uniform float time;
+                uniform vec3 color;
+                uniform vec3 hitPoint;
+                uniform float hitTime;
+                varying vec3 vNormal;
+                varying vec3 vPosition;
+                
+                void main() {
+                    // Fresnel effect
+                    float fresnel = pow(1.0 - abs(dot(vNormal, vec3(0.0, 0.0, 1.0))), 3.0);
+                    
+                    // Hex pattern
+                    float pattern = sin(vPosition.x * 0.5 + time) * sin(vPosition.y * 0.5 + time * 0.7);
+                    pattern = smoothstep(0.3, 0.7, pattern);
+                    
+                    // Hit ripple
+                    float hitDist = distance(vPosition, hitPoint);
+                    float hitTimeDiff = time - hitTime;
+                    float ripple = sin(hitDist * 2.0 - hitTimeDiff * 10.0) * exp(-hitTimeDiff * 2.0);
+                    ripple = max(0.0, ripple) * step(0.0, hitTimeDiff) * step(hitTimeDiff, 2.0);
+                    
+                    float alpha = fresnel * 0.5 + pattern * 0.2 + ripple * 0.5;
+                    gl_FragColor = vec4(color, alpha * 0.7);
+                }
+            `,
+            transparent: true,
+            side: THREE.DoubleSide,
+            depthWrite: false,
+            blending: THREE.AdditiveBlending
+        });
+
+        this.shieldMesh = new THREE.Mesh(geometry, material);
+        this.shieldMesh.visible = false;
+        this.mesh.add(this.shieldMesh);
+    }
+
+    /**
+     * Create engine trail effect
+     */
+    createTrail() {
+        const maxPoints = 50;
+        const geometry = new THREE.BufferGeometry();
+
+        const positions = new Float32Array(maxPoints * 3);
+        const colors = new Float32Array(maxPoints * 3);
+
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+
+        const material = new THREE.LineBasicMaterial({
+            vertexColors: true,
+            transparent: true,
+            opacity: 0.6,
+            blending: THREE.AdditiveBlending
+        });
+
+        this.trail = new THREE.Line(geometry, material);
+        this.scene.add(this.trail);
+
+        // Initialize trail positions
+        for (let i = 0; i < maxPoints; i++) {
+            this.trailPositions.push(this.position.clone());
+        }
+    }
+
+    /**
+     * Update ship state
+     */
+    update(deltaTime, gesture, aimPosition, analog = null) {
+        const dt = deltaTime * 0.001;
+
+        // Update aim position
+        this.aimPosition = aimPosition;
+
+        // Update analog controls
+        this.throttle = analog && typeof analog.throttle === 'number' ? analog.throttle : null;
+        this.rollInput = analog && analog.roll ? analog.roll : 0;
+        this.strafeInput = analog && analog.strafe ? analog.strafe : { x: 0, y: 0 };
+
+        // Process gesture controls
+        this.processGesture(gesture, dt);
+
+        // A dash fires the engines like a boost
+        if (this.maneuvers.isActive('boostDash')) {
+            this.isBoosting = true;
+        }
+
+        // Fly - the Immelmann steers on its own
+        const steering = !this.maneuvers.overridesRotation();
+        const rates = this.flight.aimToRates(this.aimPosition);
+        this.flight.update(dt, {
+            pitch: steering ? rates.pitch : 0,
+            yaw: steering ? rates.yaw : 0,
+            roll: steering ? this.rollInput : 0,
+            strafe: this.strafeInput,
+            throttle: this.throttle,
+            thrust: this.isThrusting,
+            brake: this.isBraking,
+            boost: this.isBoosting
+        });
+
+        // Maneuvers
+        this.maneuvers.update(deltaTime);
+        this.isInvulnerable = this.maneuvers.isInvulnerable();
+
+        this.rotation.setFromQuaternion(this.quaternion);
+
+        // Regenerate energy
+        this.energy = Math.min(this.maxEnergy, this.energy + this.energyRegen * dt);
+
+        // Shields: active bubble, recharge after the hit delay
+        this.shields.update(deltaTime, this.shieldHeld);
+
+        // Scorch marks and sparks on damaged subsystems
+        this.damage.update(deltaTime);
+
+        // Update mesh
+        this.updateMesh(deltaTime);
+
+        // Update trail
+        this.updateTrail();
+    }
+
+    /**
+     * Process gesture input
+     */
+    processGesture(gesture, dt) {
+        this.isThrusting = false;
+        this.isBraking = false;
+        this.isBoosting = false;
+        this.shieldHeld = false;
+
+        // Analog throttle replaces the on/off thrust and brake
+        const analog = this.throttle !== null;
+
+        // Maneuvers fire once per gesture, not every frame it is held
+        const pressed = gesture !== this.lastGesture;
+        this.lastGesture = gesture;
+
+        switch (gesture) {
+            case 'THRUST':
+                this.isThrusting = !analog;
+                break;
+
+            case 'BRAKE':
+                this.isBraking = !analog;
+                break;
+
+            case 'BOOST':
+                if (this.energy > 20) {
+                    this.isBoosting = true;
+                    this.boost(dt);
+                }
+                break;
+
+            case 'BARREL_ROLL':
+                if (pressed) this.maneuvers.start('barrelRoll', this.getDodgeDirection());
+                break;
+
+            case 'IMMELMANN':
+                if (pressed) this.maneuvers.start('immelmann');
+                break;
+
+            case 'BOOST_DASH':
+                if (pressed) this.maneuvers.start('boostDash');
+                break;
+
+            case 'SHIELD':
+                this.shieldHeld = true;
+                break;
+        }
+
+        // Thrusters glow while the analog throttle is open
+        if (analog && !this.isBoosting) {
+            this.isThrusting = this.throttle > 0.05;
+        }
+    }
+
+    /**
+     * Consume boost energy (thrust is applied by the flight model)
+     */
+    boost(dt) {
+        this.energy -= 30 * dt;
+    }
+
+    /**
+     * Side to barrel roll toward: strafe, then roll input, then aim
+     * (-1 = left, 1 = right)
+     */
+    getDodgeDirection() {
+        const hint = this.strafeInput.x || this.rollInput || (this.aimPosition.x - 0.5);
+        return hint < 0 ? -1 : 1;
+    }
+
+    /**
+     * Update mesh visuals
+     */
+    updateMesh(deltaTime) {
+        // Update position
+        this.mesh.position.copy(this.position);
+        this.mesh.quaternion.copy(this.quaternion);
+
+        // Barrel roll spin (visual only)
+        if (this.maneuvers.visualRoll !== 0) {
+            this.mesh.rotateZ(this.maneuvers.visualRoll);
+        }
+
+        // Update thrusters
+        const thrustLevel = this.throttle !== null ? this.throttle : 1;
+        const thrusterIntensity = this.isThrusting ? thrustLevel : (this.isBoosting ? 2 : 0);
+
+        this.thrusters.forEach(thruster => {
+            thruster.group.visible = thrusterIntensity > 0;
+
+            if (thruster.group.visible) {
+                const scale = thrusterIntensity * (0.8 + Math.random() * 0.4);
+                thruster.core.scale.z = scale;
+                thruster.outer.scale.z = scale * 1.2;
+
+                // Color intensity
+                thruster.core.material.opacity = 0.6 + Math.random() * 0.4;
+            }
+        });
+
+        // Update engines
+        this.engines.forEach(engine => {
+            const intensity = this.isThrusting ? 0.8 : (this.isBoosting ? 1 : 0.3);
+            engine.material.opacity = intensity;
+
+            if (this.isBoosting) {
+                engine.material.color.setHex(0xff00aa);
+            } else {
+                engine.material.color.setHex(0x00f0ff);
+            }
+        });
+
+        // Update shield
+        this.shieldMesh.visible = this.shields.isVisible();
+        if (this.shieldMesh.visible) {
+            this.shieldMesh.material.uniforms.time.value += deltaTime * 0.001;
+
+            // Pulse effect
+            const pulse = 1 + Math.sin(performance.now() * 0.005) * 0.05;
+            this.shieldMesh.scale.setScalar(pulse);
+        }
+
+        // Wing accent pulse
+        this.accents.forEach(accent => {
+            const pulse = 0.7 + Math.sin(performance.now() * 0.003) * 0.3;
+            accent.material.opacity = pulse;
+        });
+    }
+
+    /**
+     * Update trail effect
+     */
+    updateTrail() {
+        // Shift trail positions
+        for (let i = this.trailPositions.length - 1; i > 0; i--) {
+            this.trailPositions[i].copy(this.trailPositions[i - 1]);
+        }
+        this.trailPositions[0].copy(this.position);
+
+        // Update geometry
+        const positions = this.trail.geometry.attributes.position.array;
+        const colors = this.trail.geometry.attributes.color.array;
+
+        for (let i = 0; i < this.trailPositions.length; i++) {
+            const pos = this.trailPositions[i];
+            positions[i * 3] = pos.x;
+            positions[i * 3 + 1] = pos.y;
+            positions[i * 3 + 2] = pos.z;
+
+            // Fade color along trail
+            const alpha = 1 - i / this.trailPositions.length;
+            colors[i * 3] = 0;
+            colors[i * 3 + 1] = alpha * 0.9;
+            colors[i * 3 + 2] = alpha;
+        }
+
+        this.trail.geometry.attributes.position.needsUpdate = true;
+        this.trail.geometry.attributes.color.needsUpdate = true;
+
+        // Only show trail when moving fast (and not cloaked)
+        this.trail.visible = !this.isCloaked && this.velocity.length() > 50;
+    }
+
+    /**
+     * Take damage
+     */
+    takeDamage(amount, hitPoint = null) {
+        if (this.isInvulnerable) return;
+
+        // Shields reduce and absorb damage first
+        amount = this.shields.absorb(amount, hitPoint);
+
+        // Shield hit ripple (shader works in ship space)
+        if (hitPoint && this.shields.isVisible()) {
+            const uniforms = this.shieldMesh.material.uniforms;
+            uniforms.hitPoint.value.copy(this.mesh.worldToLocal(hitPoint.clone()));
+            uniforms.hitTime.value = uniforms.time.value;
+        }
+
+        // Remaining damage hits hull
+        if (amount > 0) {
+            this.hull -= amount;
+
+            // The subsystem facing the hit takes a share
+            this.damage.applyHit(amount, hitPoint);
+
+            // Flash effect
+            this.mesh.traverse(child => {
+                if (child.material && child.material.emissive) {
+                    const original = child.material.emissive.clone();
+                    child.material.emissive.set(0xff0000);
+                    setTimeout(() => {
+                        child.material.emissive.copy(original);
+                    }, 100);
+                }
+            });
+        }
+
+        return this.hull <= 0;
+    }
+
+    /**
+     * Get current speed
+     */
+    getSpeed() {
+        return Math.round(this.velocity.length());
+    }
+
+    /**
+     * Get forward direction
+     */
+    getForward() {
+        const forward = new THREE.Vector3(0, 0, -1);
+        forward.applyQuaternion(this.quaternion);
+        return forward;
+    }
+
+    /**
+     * World-space muzzle points for a weapon's hardpoints
+     */
+    getMuzzlePoints(weaponId) {
+        const hardpoints = this.definition.hardpoints[weaponId] || [];
+        return hardpoints.map(point =>
+            point.clone().applyQuaternion(this.quaternion).add(this.position)
+        );
+    }
+
+    /**
+     * Get ship stats for HUD
+     */
+    getStats() {
+        return {
+            hull: this.hull,
+            maxHull: this.maxHull,
+            shield: this.shields.getTotal(),
+            maxShield: this.shields.getCapacity(),
+            shieldQuadrants: this.shields.getQuadrantLevels(),
+            shieldActive: this.shields.active,
+            energy: this.energy,
+            maxEnergy: this.maxEnergy,
+            speed: this.getSpeed(),
+            throttle: this.throttle
+        };
+    }
+}
+
+export default PlayerShip;
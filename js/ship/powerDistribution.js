@@ -0,0 +1,124 @@
+/**
+ * AETHELGARD: EVENT HORIZON
+ * Power Distribution Module
+ *
+ * Reactor power triangle between engines, shields and weapons. Six
+ * pips are shared out, 0-4 per system; two pips is normal output.
+ * Each pip above or below normal scales the system's rate and cap:
+ * - Engines: acceleration and top speed
+ * - Shields: recharge rate and capacity
+ * - Weapons: energy recharge and energy capacity
+ */
+
+// HUD row order
+export const POWER_SYSTEMS = ['engines', 'shields', 'weapons'];
+
+// Preset routings cycled by the POWER_CYCLE gesture
+export const POWER_PRESETS = [
+    { name: 'BALANCED', pips: { engines: 2, shields: 2, weapons: 2 } },
+    { name: 'ENGINES', pips: { engines: 4, shields: 1, weapons: 1 } },
+    { name: 'SHIELDS', pips: { engines: 1, shields: 4, weapons: 1 } },
+    { name: 'WEAPONS', pips: { engines: 1, shields: 1, weapons: 4 } }
+];
+
+export class PowerDistribution {
+    constructor(ship) {
+        this.ship = ship;
+
+        this.totalPips = 6;
+        this.maxPips = 4;
+        this.normalPips = 2;
+
+        // Change per pip away from normal (fraction of the fitted value)
+        this.effects = {
+            engines: { rate: 0.15, cap: 0.1 },
+            shields: { rate: 0.4, cap: 0.15 },
+            weapons: { rate: 0.3, cap: 0.15 }
+        };
+
+        this.pips = { ...POWER_PRESETS[0].pips };
+        this.presetIndex = 0;
+
+        // Callbacks
+        this.onChange = null;
+    }
+
+    /**
+     * Move one pip into a system, taken from the fullest other system.
+     * Returns false if the system is already at maximum.
+     */
+    route(system) {
+        if (!(system in this.pips) || this.pips[system] >= this.maxPips) return false;
+
+        const donor = POWER_SYSTEMS
+            .filter(other => other !== system)
+            .reduce((a, b) => (this.pips[b] > this.pips[a] ? b : a));
+
+        this.pips[donor]--;
+        this.pips[system]++;
+        this.presetIndex = -1;
+        this.changed();
+
+        return true;
+    }
+
+    /**
+     * Switch to a preset routing by index
+     */
+    setPreset(index) {
+        this.presetIndex = index;
+        this.pips = { ...POWER_PRESETS[index].pips };
+        this.changed();
+    }
+
+    /**
+     * Step to the next preset routing (balanced after a manual routing)
+     */
+    cyclePreset() {
+        this.setPreset((this.presetIndex + 1) % POWER_PRESETS.length);
+    }
+
+    /**
+     * Scale for a system's 'rate' or 'cap' (1 = normal output)
+     */
+    getScale(system, kind) {
+        return 1 + (this.pips[system] - this.normalPips) * this.effects[system][kind];
+    }
+
+    /**
+     * Pips per system, in HUD order
+     */
+    getLevels() {
+        return POWER_SYSTEMS.map(system => this.pips[system]);
+    }
+
+    /**
+     * Name of the active preset, or null for a manual routing
+     */
+    getPresetName() {
+        const preset = POWER_PRESETS[this.presetIndex];
+        return preset ? preset.name : null;
+    }
+
+    /**
+     * Re-apply ship stats after a change
+     */
+    changed() {
+        this.ship.refreshStats();
+
+        if (this.onChange) {
+            this.onChange(this.pips);
+        }
+    }
+
+    /**
+     * Back to balanced power
+     */
+    reset() {
+        this.pips = { ...POWER_PRESETS[0].pips };
+        this.presetIndex = 0;
+        this.ship.refreshStats();
+    }
+}
+
+export default PowerDistribution;
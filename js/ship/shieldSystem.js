@@ -0,0 +1,234 @@
+/**
+ * AETHELGARD: EVENT HORIZON
+ * Shield System Module
+ *
+ * Frame-driven shields for the player ship. Passive shields absorb hits
+ * and recharge only after a delay without damage. The active shield
+ * (SHIELD gesture) drains energy and cuts incoming damage while up.
+ *
+ * UNIFORM     - one shield pool covering the whole ship
+ * DIRECTIONAL - front / right / back / left quadrants, each with its
+ *               own pool and recharge delay
+ *
+ * All timers advance in update(), so nothing drains or recharges
+ * while the game is paused.
+ */
+
+export const SHIELD_MODES = {
+    UNIFORM: 'uniform',
+    DIRECTIONAL: 'directional'
+};
+
+// Quadrant order (clockwise from the nose)
+export const SHIELD_QUADRANTS = ['front', 'right', 'back', 'left'];
+
+const MODE_KEY = 'aethelgard.shieldMode';
+
+export class ShieldSystem {
+    constructor(ship) {
+        this.ship = ship;
+        this.mode = SHIELD_MODES.UNIFORM;
+
+        // Passive recharge
+        this.rechargeRate = 10;     // Shield points per second (of maxShield)
+        this.rechargeDelay = 2500;  // ms without hits before recharging
+        this.rechargeMultiplier = 1; // Set by power routing
+
+        // Each directional quadrant holds this share of maxShield
+        this.quadrantShare = 0.5;
+
+        // Active shield
+        this.damageReduction = 0.75; // Fraction of incoming damage blocked
+        this.activeDrain = 50;       // Energy per second
+        this.minActivateEnergy = 10;
+        this.maxActiveTime = 3000;   // ms per activation
+        this.activeCooldown = 1500;  // ms before it can be raised again
+
+        // State
+        this.cells = [];             // { value, sinceHit } - one per quadrant
+        this.active = false;
+        this.activeTime = 0;
+        this.cooldownRemaining = 0;
+        this.hitFlash = 0;           // ms of bubble flash after a hit
+
+        this.reset();
+    }
+
+    /**
+     * Switch between uniform and directional shields (refills them)
+     */
+    setMode(mode) {
+        if (!Object.values(SHIELD_MODES).includes(mode)) return;
+        this.mode = mode;
+        this.reset();
+    }
+
+    /**
+     * Capacity of a single cell
+     */
+    getCellCapacity() {
+        return this.mode === SHIELD_MODES.DIRECTIONAL
+            ? this.ship.maxShield * this.quadrantShare
+            : this.ship.maxShield;
+    }
+
+    /**
+     * Advance timers; shieldHeld is true while the SHIELD gesture is held
+     */
+    update(deltaTime, shieldHeld) {
+        const dt = deltaTime * 0.001;
+
+        this.cooldownRemaining = Math.max(0, this.cooldownRemaining - deltaTime);
+        this.hitFlash = Math.max(0, this.hitFlash - deltaTime);
+
+        // Active shield
+        if (shieldHeld && !this.active && this.cooldownRemaining === 0 &&
+            this.ship.energy >= this.minActivateEnergy) {
+            this.active = true;
+            this.activeTime = 0;
+        }
+
+        if (this.active) {
+            this.activeTime += deltaTime;
+            this.ship.energy = Math.max(0, this.ship.energy - this.activeDrain * dt);
+
+            if (!shieldHeld || this.ship.energy <= 0 || this.activeTime >= this.maxActiveTime) {
+                this.lower();
+            }
+        }
+
+        // Passive recharge after the delay
+        const capacity = this.getCellCapacity();
+        const rate = this.rechargeRate * this.rechargeMultiplier * (capacity / this.ship.maxShield);
+
+        for (const cell of this.cells) {
+            cell.sinceHit += deltaTime;
+            if (cell.sinceHit >= this.rechargeDelay) {
+                cell.value = Math.min(capacity, cell.value + rate * dt);
+            }
+            cell.value = Math.min(cell.value, capacity);
+        }
+    }
+
+    /**
+     * Drop the active shield and start its cooldown
+     */
+    lower() {
+        this.active = false;
+        this.cooldownRemaining = this.activeCooldown;
+    }
+
+    /**
+     * Quadrant index a world-space hit point falls in
+     */
+    getQuadrant(hitPoint) {
+        if (this.mode !== SHIELD_MODES.DIRECTIONAL) return 0;
+
+        // Collisions without a hit point land on the nose
+        if (!hitPoint) return 0;
+
+        const local = hitPoint.clone()
+            .sub(this.ship.position)
+            .applyQuaternion(this.ship.quaternion.clone().invert());
+
+        // Angle clockwise from the nose (forward is -Z)
+        const angle = Math.atan2(local.x, -local.z);
+        const index = Math.round(angle / (Math.PI / 2));
+        return (index + SHIELD_QUADRANTS.length) % SHIELD_QUADRANTS.length;
+    }
+
+    /**
+     * Absorb incoming damage. Returns the damage left for the hull.
+     */
+    absorb(amount, hitPoint = null) {
+        if (this.active) {
+            amount *= 1 - this.damageReduction;
+        }
+
+        const cell = this.cells[this.getQuadrant(hitPoint)];
+        cell.sinceHit = 0;
+
+        const absorbed = Math.min(cell.value, amount);
+        cell.value -= absorbed;
+
+        if (absorbed > 0 || this.active) {
+            this.hitFlash = 300;
+        }
+
+        return amount - absorbed;
+    }
+
+    /**
+     * Total shield points across all cells
+     */
+    getTotal() {
+        return this.cells.reduce((sum, cell) => sum + cell.value, 0);
+    }
+
+    /**
+     * Total capacity across all cells
+     */
+    getCapacity() {
+        return this.getCellCapacity() * this.cells.length;
+    }
+
+    /**
+     * Per-quadrant fill (0-1), or null in uniform mode
+     */
+    getQuadrantLevels() {
+        if (this.mode !== SHIELD_MODES.DIRECTIONAL) return null;
+
+        const capacity = this.getCellCapacity();
+        return this.cells.map(cell => cell.value / capacity);
+    }
+
+    /**
+     * Check if the shield bubble should be drawn
+     */
+    isVisible() {
+        return this.active || this.hitFlash > 0;
+    }
+
+    /**
+     * Refill all cells and drop the active shield
+     */
+    reset() {
+        const count = this.mode === SHIELD_MODES.DIRECTIONAL ? SHIELD_QUADRANTS.length : 1;
+        const capacity = this.getCellCapacity();
+
+        this.cells = [];
+        for (let i = 0; i < count; i++) {
+            this.cells.push({ value: capacity, sinceHit: Infinity });
+        }
+
+        this.active = false;
+        this.activeTime = 0;
+        this.cooldownRemaining = 0;
+        this.hitFlash = 0;
+    }
+
+    /**
+     * Load the saved shield mode
+     */
+    static loadMode() {
+        try {
+            const mode = localStorage.getItem(MODE_KEY);
+            return Object.values(SHIELD_MODES).includes(mode) ? mode : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Persist the shield mode
+     */
+    static saveMode(mode) {
+        try {
+            localStorage.setItem(MODE_KEY, mode);
+        } catch (e) {
+            console.warn('Could not save shield mode');
+        }
+    }
+}
+
+export default ShieldSystem;
@@ -0,0 +1,31 @@
+/**
+ * AETHELGARD: EVENT HORIZON
+ * Ship Classes Module
+ *
+ * Registry of flyable hulls. Each definition (see ./hulls/) holds:
+ * - stats:         base speed, hull, shield, energy and mass values
+ * - handling:      flight model inertia, turn rates and strafe power
+ * - hardpoints:    muzzle points per weapon, in ship space
+ * - thrusters:     thruster flame positions and scale
+ * - shieldRadius:  size of the shield bubble
+ * - ability:       signature ability id (see abilities.js)
+ * - buildMesh():   returns { mesh, engines, accents, positionLights, damageParts }
+ */
+
+import { AURELIAN } from './hulls/aurelian.js';
+import { BASTION } from './hulls/bastion.js';
+import { KESTREL } from './hulls/kestrel.js';
+
+// Ship select order
+export const SHIP_CLASSES = [AURELIAN, BASTION, KESTREL];
+
+export const DEFAULT_SHIP_CLASS = AURELIAN.id;
+
+/**
+ * Get a ship definition by id (falls back to the Aurelian)
+ */
+export function getShipClass(id) {
+    return SHIP_CLASSES.find(definition => definition.id === id) || AURELIAN;
+}
+
+export default SHIP_CLASSES;
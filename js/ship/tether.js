@@ -0,0 +1,97 @@
+/**
+ * AETHELGARD: EVENT HORIZON
+ * Tether Module
+ *
+ * Rope physics for the Singularity Harpoon. A tether joins the ship to
+ * whatever the harpoon struck. Inside its length the rope is slack;
+ * stretched past it, the rope pulls both ends together like a stiff
+ * spring, shared by mass. It never pushes.
+ * - Enemies are hauled toward the ship (and the ship toward heavy ones).
+ *   Reeling in shortens the rope; an enemy dragged into melee range
+ *   takes a finishing blow.
+ * - Asteroids are anchors that don't budge, so the ship swings around
+ *   them on the rope.
+ * A tethered enemy swung into another enemy hurts both (see
+ * combat/collisions.js).
+ */
+
+import * as THREE from 'three';
+
+// Rope stats (distances in units, times in ms)
+export const TETHER_STATS = {
+    maxLength: 900,       // Rope paid out - a harpoon that flies further is lost
+    stiffness: 8,         // Pull per unit of stretch, per second squared
+    damping: 3,           // Pull per unit of separating speed, per second
+    maxStretch: 150,      // Hard limit past the rope length
+    reelSpeed: 350,       // Units per second while reeling in
+    slack: 40,            // Closest the ship reels to an asteroid's surface
+    finisherRange: 60,    // Gap to an enemy's hull that triggers the finisher
+    finisherDamage: 150
+};
+
+export class Tether {
+    /**
+     * body: { position, velocity, mass, radius } - mass Infinity for an
+     * immovable anchor
+     */
+    constructor(ship, body) {
+        this.ship = ship;
+        this.body = body;
+
+        this.length = Math.min(TETHER_STATS.maxLength, ship.position.distanceTo(body.position));
+        this.minLength = body.radius + TETHER_STATS.slack;
+        this.taut = false;
+
+        // Scratch objects
+        this.direction = new THREE.Vector3();
+        this.relative = new THREE.Vector3();
+    }
+
+    /**
+     * Reel in and apply the rope's pull for this frame
+     */
+    update(dt, reeling = false) {
+        if (reeling) {
+            this.length = Math.max(this.minLength, this.length - TETHER_STATS.reelSpeed * dt);
+        }
+
+        const ship = this.ship;
+        const body = this.body;
+
+        // Ship -> anchor
+        const direction = this.direction.copy(body.position).sub(ship.position);
+        const distance = direction.length();
+        const stretch = distance - this.length;
+
+        this.taut = stretch > 0;
+        if (!this.taut || distance === 0) return;
+
+        direction.divideScalar(distance);
+
+        // Share of the pull each end takes - the lighter end moves more
+        const shipShare = Number.isFinite(body.mass) ? body.mass / (ship.mass + body.mass) : 1;
+
+        // Spring plus damping against the ends flying apart
+        const separating = Math.max(0, this.relative.copy(body.velocity).sub(ship.velocity).dot(direction));
+        const pull = (TETHER_STATS.stiffness * stretch + TETHER_STATS.damping * separating) * dt;
+
+        ship.velocity.addScaledVector(direction, pull * shipShare);
+        body.velocity.addScaledVector(direction, -pull * (1 - shipShare));
+
+        // Over the hard limit - drag the ends back onto it
+        const excess = stretch - TETHER_STATS.maxStretch;
+        if (excess > 0) {
+            ship.position.addScaledVector(direction, excess * shipShare);
+            body.position.addScaledVector(direction, -excess * (1 - shipShare));
+        }
+    }
+
+    /**
+     * Distance from the ship to the anchor's surface
+     */
+    getGap() {
+        return this.ship.position.distanceTo(this.body.position) - this.body.radius;
+    }
+}
+
+export default Tether;
@@ -0,0 +1,329 @@
+/**
+ * AETHELGARD: EVENT HORIZON
+ * Weapon Heat Module
+ *
+ * Per-weapon heat for the railgun and Solar Flare Beam. Firing builds
+ * heat, which bleeds off shortly after the trigger is released. At full
+ * heat the weapon overheats and is locked out while it vents, trailing
+ * a plume from its hardpoints.
+ *
+ * Active vent: fire again while the draining gauge crosses the vent
+ * window to clear the lockout at once and run cool for a few seconds
+ * (less heat, more damage). Miss the window and the vent jams, adding
+ * to the lockout.
+ */
+
+import * as THREE from 'three';
+
+// Heat stats per weapon (heat 0-100, times in ms)
+export const WEAPON_HEAT = {
+    railgun: {
+        perShot: 7,
+        dissipation: 30,  // Heat per second once cooling
+        coolDelay: 300,   // ms after the last shot before cooling starts
+        lockout: 2500     // ms locked out after overheating
+    },
+    laser: {
+        perSecond: 25,
+        dissipation: 35,
+        coolDelay: 500,
+        lockout: 3000
+    }
+};
+
+export class WeaponHeat {
+    constructor(scene, ship) {
+        this.scene = scene;
+        this.ship = ship;
+
+        this.maxHeat = 100;
+
+        // Active vent
+        this.ventWindow = { start: 0.4, end: 0.6 }; // Fraction of the lockout elapsed
+        this.ventPenalty = 1500;         // ms added to the lockout by a jammed vent
+        this.bonusDuration = 4000;       // ms of cool running after a perfect vent
+        this.bonusHeatMultiplier = 0.5;
+        this.bonusDamageMultiplier = 1.25;
+
+        // State per weapon
+        this.states = {};
+        for (const id of Object.keys(WEAPON_HEAT)) {
+            this.states[id] = {
+                heat: 0,
+                sinceHeat: 0,
+                lockoutRemaining: 0,
+                lockoutTotal: 0,
+                ventTried: false,
+                bonusRemaining: 0,
+                plumeTimer: 0
+            };
+        }
+
+        // Vent plume particles (world space)
+        this.plume = null;
+        this.particles = [];
+        this.plumeRate = 40; // Particles per second per hardpoint
+
+        // Callbacks
+        this.onOverheat = null;
+        this.onVent = null;
+
+        // Scratch objects
+        this.up = new THREE.Vector3();
+        this.color = new THREE.Color();
+
+        // Plume colors - hot orange cooling to grey smoke
+        this.emberColor = new THREE.Color(1, 0.45, 0.1);
+        this.smokeColor = new THREE.Color(0.5, 0.5, 0.55);
+
+        this.createPlume();
+    }
+
+    /**
+     * Create the shared vent plume
+     */
+    createPlume() {
+        const count = 96;
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(count * 3), 3));
+        geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(count * 3), 3));
+
+        const material = new THREE.PointsMaterial({
+            size: 5,
+            vertexColors: true,
+            transparent: true,
+            blending: THREE.AdditiveBlending,
+            depthWrite: false
+        });
+
+        this.plume = new THREE.Points(geometry, material);
+        this.plume.frustumCulled = false;
+        this.scene.add(this.plume);
+
+        for (let i = 0; i < count; i++) {
+            this.particles.push({
+                position: new THREE.Vector3(),
+                velocity: new THREE.Vector3(),
+                age: 0,
+                life: 0
+            });
+        }
+    }
+
+    /**
+     * Add heat to a weapon. Returns true if it is (now) locked out.
+     */
+    add(id, amount) {
+        const state = this.states[id];
+        if (!state) return false;
+        if (state.lockoutRemaining > 0) return true;
+
+        const multiplier = state.bonusRemaining > 0 ? this.bonusHeatMultiplier : 1;
+        state.heat = Math.min(this.maxHeat, state.heat + amount * multiplier);
+        state.sinceHeat = 0;
+
+        if (state.heat >= this.maxHeat) {
+            this.overheat(id);
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Lock a weapon out while it vents
+     */
+    overheat(id) {
+        const state = this.states[id];
+
+        state.heat = this.maxHeat;
+        state.lockoutRemaining = WEAPON_HEAT[id].lockout;
+        state.lockoutTotal = state.lockoutRemaining;
+        state.ventTried = false;
+        state.bonusRemaining = 0;
+
+        if (this.onOverheat) {
+            this.onOverheat(id);
+        }
+    }
+
+    /**
+     * Try an active vent on an overheated weapon. Returns true for a
+     * perfect vent, false for a jam, null if there was nothing to vent.
+     */
+    activeVent(id) {
+        const state = this.states[id];
+        if (!state || state.lockoutRemaining <= 0 || state.ventTried) return null;
+
+        state.ventTried = true;
+
+        const progress = 1 - state.lockoutRemaining / state.lockoutTotal;
+        const perfect = progress >= this.ventWindow.start && progress <= this.ventWindow.end;
+
+        if (perfect) {
+            state.heat = 0;
+            state.lockoutRemaining = 0;
+            state.bonusRemaining = this.bonusDuration;
+        } else {
+            state.lockoutRemaining += this.ventPenalty;
+            state.lockoutTotal += this.ventPenalty;
+        }
+
+        if (this.onVent) {
+            this.onVent(id, perfect);
+        }
+
+        return perfect;
+    }
+
+    /**
+     * Check if a weapon is overheated
+     */
+    isLocked(id) {
+        const state = this.states[id];
+        return !!state && state.lockoutRemaining > 0;
+    }
+
+    /**
+     * Damage scale from a perfect vent's cool running
+     */
+    getDamageMultiplier(id) {
+        const state = this.states[id];
+        return state && state.bonusRemaining > 0 ? this.bonusDamageMultiplier : 1;
+    }
+
+    /**
+     * Heat 0-1 and lockout state per weapon, for the HUD
+     */
+    getLevels() {
+        const levels = {};
+        for (const [id, state] of Object.entries(this.states)) {
+            levels[id] = {
+                heat: state.heat / this.maxHeat,
+                locked: state.lockoutRemaining > 0,
+                ventOpen: state.lockoutRemaining > 0 && !state.ventTried,
+                bonus: state.bonusRemaining > 0
+            };
+        }
+        return levels;
+    }
+
+    /**
+     * Cool weapons, count down lockouts and animate the vent plume
+     */
+    update(deltaTime) {
+        const dt = deltaTime * 0.001;
+
+        for (const [id, state] of Object.entries(this.states)) {
+            const stats = WEAPON_HEAT[id];
+
+            state.bonusRemaining = Math.max(0, state.bonusRemaining - deltaTime);
+
+            if (state.lockoutRemaining > 0) {
+                // Venting - the gauge drains over the lockout
+                state.lockoutRemaining = Math.max(0, state.lockoutRemaining - deltaTime);
+                state.heat = this.maxHeat * (state.lockoutRemaining / state.lockoutTotal);
+                this.emitPlume(id, state, deltaTime);
+            } else {
+                state.sinceHeat += deltaTime;
+                if (state.sinceHeat >= stats.coolDelay) {
+                    state.heat = Math.max(0, state.heat - stats.dissipation * dt);
+                }
+            }
+        }
+
+        this.updatePlume(dt);
+    }
+
+    /**
+     * Spawn plume particles at a venting weapon's hardpoints
+     */
+    emitPlume(id, state, deltaTime) {
+        state.plumeTimer += deltaTime;
+
+        const interval = 1000 / this.plumeRate;
+        const muzzles = this.ship.getMuzzlePoints(id);
+        if (muzzles.length === 0) muzzles.push(this.ship.position.clone());
+
+        this.up.set(0, 1, 0).applyQuaternion(this.ship.quaternion);
+
+        while (state.plumeTimer >= interval) {
+            state.plumeTimer -= interval;
+
+            for (const muzzle of muzzles) {
+                // Pool exhausted - skip the backlog
+                const particle = this.particles.find(p => p.age >= p.life);
+                if (!particle) {
+                    state.plumeTimer = 0;
+                    return;
+                }
+
+                particle.position.copy(muzzle);
+                particle.velocity.set(
+                    Math.random() - 0.5,
+                    Math.random() - 0.5,
+                    Math.random() - 0.5
+                ).multiplyScalar(40)
+                    .addScaledVector(this.up, 30 + Math.random() * 30)
+                    .add(this.ship.velocity);
+                particle.age = 0;
+                particle.life = 0.5 + Math.random() * 0.4;
+            }
+        }
+    }
+
+    /**
+     * Move and fade plume particles
+     */
+    updatePlume(dt) {
+        const positions = this.plume.geometry.attributes.position.array;
+        const colors = this.plume.geometry.attributes.color.array;
+
+        this.particles.forEach((particle, i) => {
+            let fade = 0;
+
+            if (particle.age < particle.life) {
+                particle.age += dt;
+                particle.position.addScaledVector(particle.velocity, dt);
+
+                const t = Math.min(1, particle.age / particle.life);
+                this.color.copy(this.emberColor).lerp(this.smokeColor, t);
+                fade = 1 - t;
+            }
+
+            positions[i * 3] = particle.position.x;
+            positions[i * 3 + 1] = particle.position.y;
+            positions[i * 3 + 2] = particle.position.z;
+
+            colors[i * 3] = this.color.r * fade;
+            colors[i * 3 + 1] = this.color.g * fade;
+            colors[i * 3 + 2] = this.color.b * fade;
+        });
+
+        this.plume.geometry.attributes.position.needsUpdate = true;
+        this.plume.geometry.attributes.color.needsUpdate = true;
+    }
+
+    /**
+     * Cool every weapon and clear the plume
+     */
+    reset() {
+        for (const state of Object.values(this.states)) {
+            state.heat = 0;
+            state.sinceHeat = 0;
+            state.lockoutRemaining = 0;
+            state.lockoutTotal = 0;
+            state.ventTried = false;
+            state.bonusRemaining = 0;
+            state.plumeTimer = 0;
+        }
+
+        this.particles.forEach(particle => {
+            particle.age = 0;
+            particle.life = 0;
+        });
+        this.updatePlume(0);
+    }
+}
+
+export default WeaponHeat;
@@ -2,19 +2,36 @@
  * AETHELGARD: EVENT HORIZON
  * Weapons Module
  * 
- * Implements the Aurelian's weapon systems:
+ * Implements the player ship's weapon systems:
  * - Shatter-Railgun: High-velocity kinetic slugs
  * - Solar Flare Beam: Sustained thermal laser
- * - Singularity Harpoon: Gravity tether
+ * - Singularity Harpoon: Gravity tether (hold to reel in)
+ *
+ * The primary slot (aiming hand) holds the railgun or the beam; the
+ * secondary slot (off hand) holds the harpoon. Each slot has its own
+ * trigger, so both can fire in the same frame.
+ *
+ * Every weapon damages asteroids as well as enemies.
  */
 
 import * as THREE from 'three';
+import { WeaponHeat, WEAPON_HEAT } from './weaponHeat.js';
+import { Tether, TETHER_STATS } from './tether.js';
+
+// Weapons each slot can hold, in cycling order
+export const WEAPON_SLOTS = {
+    primary: ['railgun', 'laser'],
+    secondary: ['harpoon']
+};
 
 export class Weapons {
-    constructor(scene, ship) {
+    constructor(scene, ship, spatialHash) {
         this.scene = scene;
         this.ship = ship;
 
+        // Shared broadphase for hit tests (see engine/spatialHash.js)
+        this.spatialHash = spatialHash;
+
         // Active projectiles
         this.projectiles = [];
         this.beams = [];
@@ -33,9 +50,11 @@ export class Weapons {
             },
             laser: {
                 name: 'SOLAR FLARE BEAM',
-                damage: 5, // per tick
-                cooldown: 0, // continuous
+                damage: 60, // per second
+                cooldown: 0, // continuous - hold to fire
                 energyCost: 15, // per second
+                minEnergy: 5, // to start the beam
+                lastFired: 0,
                 active: false,
                 color: 0xffaa00,
                 maxRange: 500
@@ -52,12 +71,45 @@ export class Weapons {
             }
         };
 
-        // Currently selected weapon
-        this.currentWeapon = 'railgun';
+        // Unupgraded stats - hangar upgrades scale these at launch
+        this.baseStats = {};
+        for (const [id, weapon] of Object.entries(this.weapons)) {
+            this.baseStats[id] = {
+                damage: weapon.damage,
+                cooldown: weapon.cooldown,
+                energyCost: weapon.energyCost
+            };
+        }
+
+        // Weapon in each slot
+        this.currentWeapon = WEAPON_SLOTS.primary[0];
+        this.secondaryWeapon = WEAPON_SLOTS.secondary[0];
 
         // Beam reference
         this.activeBeam = null;
 
+        // Hardpoint each weapon fires from next (alternates between muzzles)
+        this.muzzleIndex = {};
+
+        // Railgun and beam heat, overheat lockout and venting
+        this.heat = new WeaponHeat(scene, ship);
+
+        // Harpoon tethers reel in while the secondary trigger is held
+        this.reeling = false;
+
+        // The beam cut out under a held trigger - it won't restart
+        // until the trigger is released
+        this.beamLatched = false;
+
+        // Callbacks
+        this.onBeamStop = null;           // (reason) - 'release', 'energy', 'overheat', 'switch'
+        this.onAsteroidDestroyed = null;  // (asteroid) - any weapon broke an asteroid
+        this.onFinisher = null;           // (position) - harpoon reeled an enemy into melee range
+
+        // Scratch objects
+        this.sweepStart = new THREE.Vector3();
+        this.beamEnd = new THREE.Vector3();
+
         this.init();
     }
 
@@ -80,22 +132,52 @@ export class Weapons {
     }
 
     /**
-     * Fire primary weapon
+     * Fire primary weapon. Call every frame the trigger is held - the
+     * beam starts on the first call and runs until releasePrimary().
+     * Returns true when a shot fires or the beam starts.
      */
     firePrimary() {
-        const weapon = this.weapons[this.currentWeapon];
+        return this.fire(this.currentWeapon);
+    }
+
+    /**
+     * Fire secondary weapon. Returns true when a shot fires.
+     */
+    fireSecondary() {
+        return this.fire(this.secondaryWeapon);
+    }
+
+    /**
+     * Fire a weapon if its cooldown, heat and energy allow
+     */
+    fire(weaponName) {
+        if (weaponName === 'laser') {
+            return this.toggleLaser(true);
+        }
+
+        // Holding the trigger on a live tether reels it in
+        if (weaponName === 'harpoon' && this.harpoons.some(h => h.userData.tether)) {
+            this.reeling = true;
+            return false;
+        }
+
+        const weapon = this.weapons[weaponName];
         const now = performance.now();
 
-        // Check cooldown
-        if (now - weapon.lastFired < weapon.cooldown) return false;
+        // Check cooldown (stretched by weapon damage)
+        if (now - weapon.lastFired < this.getCooldown(weapon)) return false;
+
+        // Locked out while venting
+        if (this.heat.isLocked(weaponName)) return false;
 
         // Check energy
         if (this.ship.energy < weapon.energyCost) return false;
 
         // Fire based on weapon type
-        switch (this.currentWeapon) {
+        switch (weaponName) {
             case 'railgun':
-                this.fireRailgun();
+                this.fireRailgun(null, weapon.damage * this.heat.getDamageMultiplier('railgun'));
+                this.heat.add('railgun', WEAPON_HEAT.railgun.perShot);
                 break;
             case 'harpoon':
                 this.fireHarpoon();
@@ -110,29 +192,66 @@ export class Weapons {
     }
 
     /**
-     * Start/stop laser beam
+     * Trigger released - stops the beam
      */
-    toggleLaser(active) {
+    releasePrimary() {
+        this.beamLatched = false;
+        this.toggleLaser(false);
+    }
+
+    /**
+     * Start/stop laser beam. Returns true if the beam started.
+     */
+    toggleLaser(active, reason = 'release') {
         const weapon = this.weapons.laser;
 
         if (active && !weapon.active) {
             // Start beam
-            if (this.ship.energy < 5) return;
+            if (this.beamLatched) return false;
+            if (this.ship.energy < weapon.minEnergy || this.heat.isLocked('laser')) return false;
             weapon.active = true;
+            weapon.lastFired = performance.now();
             this.createBeam();
-        } else if (!active && weapon.active) {
+            return true;
+        }
+
+        if (!active && weapon.active) {
             // Stop beam
             weapon.active = false;
             this.destroyBeam();
+
+            // Cutouts hold until the trigger is let go, so a held
+            // trigger doesn't flicker the beam as energy trickles back
+            if (reason === 'energy' || reason === 'overheat') {
+                this.beamLatched = true;
+            }
+
+            if (this.onBeamStop) {
+                this.onBeamStop(reason);
+            }
         }
+
+        return false;
     }
 
     /**
-     * Fire railgun projectile
+     * Check if the beam is firing
      */
-    fireRailgun() {
+    isBeamActive() {
+        return this.weapons.laser.active;
+    }
+
+    /**
+     * Fire railgun projectile, alternating between the hull's hardpoints
+     */
+    fireRailgun(muzzle = null, damage = this.weapons.railgun.damage) {
         const weapon = this.weapons.railgun;
 
+        if (!muzzle) {
+            muzzle = this.getMuzzle('railgun');
+            this.muzzleIndex.railgun = (this.muzzleIndex.railgun || 0) + 1;
+        }
+
         // Create projectile
         const projectileGroup = new THREE.Group();
 
@@ -160,27 +279,53 @@ export class Weapons {
         projectileGroup.add(trail);
 
         // Set position and direction
-        projectileGroup.position.copy(this.ship.position);
+        projectileGroup.position.copy(muzzle);
         projectileGroup.quaternion.copy(this.ship.quaternion);
 
-        // Offset forward
         const forward = this.ship.getForward();
-        projectileGroup.position.add(forward.clone().multiplyScalar(50));
 
         // Store velocity
         projectileGroup.userData = {
             type: 'railgun',
             velocity: forward.multiplyScalar(weapon.projectileSpeed),
-            damage: weapon.damage,
-            lifetime: 3000,
-            created: performance.now()
+            damage,
+            radius: 2,
+            remaining: 3000 // ms of flight left
         };
 
         this.projectiles.push(projectileGroup);
         this.scene.add(projectileGroup);
 
         // Muzzle flash
-        this.createMuzzleFlash(this.ship.position.clone().add(forward.clone().multiplyScalar(40)));
+        this.createMuzzleFlash(muzzle);
+    }
+
+    /**
+     * Fire a railgun round from every hardpoint at once
+     */
+    fireBroadside(damageMultiplier = 1) {
+        const damage = this.weapons.railgun.damage * damageMultiplier;
+        const muzzles = this.ship.getMuzzlePoints('railgun');
+
+        if (muzzles.length === 0) {
+            this.fireRailgun(null, damage);
+            return;
+        }
+
+        muzzles.forEach(muzzle => this.fireRailgun(muzzle, damage));
+    }
+
+    /**
+     * Muzzle point a weapon fires from next (nose of the ship if
+     * the hull has no hardpoint for it)
+     */
+    getMuzzle(weaponId) {
+        const muzzles = this.ship.getMuzzlePoints(weaponId);
+        if (muzzles.length === 0) {
+            return this.ship.position.clone().add(this.ship.getForward().multiplyScalar(50));
+        }
+
+        return muzzles[(this.muzzleIndex[weaponId] || 0) % muzzles.length];
     }
 
     /**
@@ -217,32 +362,32 @@ export class Weapons {
         harpoonGroup.add(core);
 
         // Set position and direction
-        harpoonGroup.position.copy(this.ship.position);
+        harpoonGroup.position.copy(this.getMuzzle('harpoon'));
         harpoonGroup.quaternion.copy(this.ship.quaternion);
 
         const forward = this.ship.getForward();
-        harpoonGroup.position.add(forward.clone().multiplyScalar(50));
 
         // Create tether line
-        const tetherGeo = new THREE.BufferGeometry();
-        const tetherMat = new THREE.LineBasicMaterial({
+        const lineGeo = new THREE.BufferGeometry();
+        const lineMat = new THREE.LineBasicMaterial({
             color: weapon.color,
             transparent: true,
             opacity: 0.8
         });
-        const tether = new THREE.Line(tetherGeo, tetherMat);
-        this.scene.add(tether);
+        const line = new THREE.Line(lineGeo, lineMat);
+        this.scene.add(line);
 
         harpoonGroup.userData = {
             type: 'harpoon',
             velocity: forward.multiplyScalar(weapon.projectileSpeed),
             damage: weapon.damage,
-            lifetime: 5000,
-            created: performance.now(),
-            tether,
-            attached: false,
-            attachedTo: null,
-            originPosition: this.ship.position.clone()
+            radius: 4,
+            remaining: 5000, // ms left in flight, then on the tether
+            line,
+            tether: null,  // Rope physics once the harpoon strikes
+            target: null,  // Tethered enemy
+            rock: null,    // Anchoring asteroid
+            offset: null   // Harpoon position on the asteroid
         };
 
         this.harpoons.push(harpoonGroup);
@@ -299,13 +444,13 @@ export class Weapons {
         });
         const impact = new THREE.Mesh(impactGeo, impactMat);
         impact.visible = false;
-        this.activeBeam.userData.impact = impact;
         this.scene.add(impact);
 
         this.activeBeam.userData = {
             core,
             mid,
             outer,
+            impact,
             damage: weapon.damage,
             maxRange: weapon.maxRange,
             energyCost: weapon.energyCost
@@ -363,97 +508,109 @@ export class Weapons {
     /**
      * Update all weapons
      */
-    update(deltaTime, enemies = []) {
+    update(deltaTime, asteroids = null) {
         const dt = deltaTime * 0.001;
-        const now = performance.now();
 
         // Update projectiles
-        this.updateProjectiles(dt, now, enemies);
+        this.updateProjectiles(dt, asteroids);
 
         // Update beam
-        this.updateBeam(dt, enemies);
+        this.updateBeam(dt, asteroids);
 
         // Update harpoons
-        this.updateHarpoons(dt, now, enemies);
+        this.updateHarpoons(dt, asteroids);
+
+        // Reeling lasts only while the trigger is held
+        this.reeling = false;
+
+        // Cool weapons and vent overheated ones
+        this.heat.update(deltaTime);
     }
 
     /**
      * Update railgun projectiles
      */
-    updateProjectiles(dt, now, enemies) {
+    updateProjectiles(dt, asteroids) {
         for (let i = this.projectiles.length - 1; i >= 0; i--) {
             const projectile = this.projectiles[i];
             const data = projectile.userData;
 
             // Move projectile
-            projectile.position.add(data.velocity.clone().multiplyScalar(dt));
+            const start = this.sweepStart.copy(projectile.position);
+            projectile.position.addScaledVector(data.velocity, dt);
 
             // Check lifetime
-            if (now - data.created > data.lifetime) {
+            data.remaining -= dt * 1000;
+            if (data.remaining <= 0) {
                 this.scene.remove(projectile);
                 this.projectiles.splice(i, 1);
                 continue;
             }
 
-            // Check enemy collisions
-            let hit = false;
-            for (const enemy of enemies) {
-                if (enemy.mesh && projectile.position.distanceTo(enemy.mesh.position) < enemy.hitRadius) {
-                    // Hit enemy
-                    enemy.takeDamage(data.damage);
-                    this.createImpactEffect(projectile.position.clone(), data.type);
-                    hit = true;
-                    break;
-                }
-            }
+            // Check enemy and asteroid collisions along the whole move,
+            // so fast rounds can't skip past a target between frames
+            const enemyHit = this.spatialHash.sweep(start, projectile.position, data.radius, 'enemies');
+            const asteroidHit = asteroids &&
+                this.spatialHash.sweep(start, projectile.position, data.radius, 'asteroids', rock => rock.parent);
+            if (!enemyHit && !asteroidHit) continue;
 
-            if (hit) {
-                this.scene.remove(projectile);
-                this.projectiles.splice(i, 1);
+            if (enemyHit && (!asteroidHit || enemyHit.t <= asteroidHit.t)) {
+                enemyHit.item.takeDamage(data.damage);
+                this.createImpactEffect(enemyHit.point, data.type);
+            } else {
+                this.damageAsteroid(asteroids, asteroidHit.item, data.damage);
+                this.createImpactEffect(asteroidHit.point, data.type);
             }
+
+            this.scene.remove(projectile);
+            this.projectiles.splice(i, 1);
         }
     }
 
     /**
      * Update laser beam
      */
-    updateBeam(dt, enemies) {
+    updateBeam(dt, asteroids) {
         if (!this.activeBeam || !this.weapons.laser.active) return;
 
         const weapon = this.weapons.laser;
 
         // Consume energy
-        this.ship.energy -= weapon.energyCost * dt;
+        this.ship.energy = Math.max(0, this.ship.energy - weapon.energyCost * dt);
         if (this.ship.energy <= 0) {
-            this.toggleLaser(false);
+            this.toggleLaser(false, 'energy');
             return;
         }
 
-        // Position beam at ship
+        // Build heat - overheating shuts the beam down
+        if (this.heat.add('laser', WEAPON_HEAT.laser.perSecond * dt)) {
+            this.toggleLaser(false, 'overheat');
+            return;
+        }
+
+        // Position beam at the laser hardpoint
         const forward = this.ship.getForward();
-        const origin = this.ship.position.clone().add(forward.clone().multiplyScalar(50));
+        const origin = this.getMuzzle('laser');
 
         this.activeBeam.position.copy(origin);
         this.activeBeam.quaternion.copy(this.ship.quaternion);
 
-        // Raycast to find hit point
-        let hitDistance = weapon.maxRange;
-        let hitEnemy = null;
-
-        for (const enemy of enemies) {
-            if (!enemy.mesh) continue;
-
-            const toEnemy = enemy.mesh.position.clone().sub(origin);
-            const dot = toEnemy.dot(forward);
+        // Raycast to find hit point - asteroids block the beam at their surface
+        const end = this.beamEnd.copy(origin).addScaledVector(forward, weapon.maxRange);
+        const enemyHit = this.spatialHash.sweep(origin, end, 0, 'enemies');
+        const asteroidHit = asteroids &&
+            this.spatialHash.sweep(origin, end, 0, 'asteroids', rock => rock.parent);
 
-            if (dot > 0 && dot < weapon.maxRange) {
-                const perpDist = toEnemy.clone().sub(forward.clone().multiplyScalar(dot)).length();
+        let hitEnemy = null;
+        let hitAsteroid = null;
+        let hitDistance = weapon.maxRange;
 
-                if (perpDist < enemy.hitRadius && dot < hitDistance) {
-                    hitDistance = dot;
-                    hitEnemy = enemy;
-                }
-            }
+        if (asteroidHit && (!enemyHit || asteroidHit.t < enemyHit.t)) {
+            hitAsteroid = asteroidHit.item;
+            hitDistance = asteroidHit.t * weapon.maxRange;
+        } else if (enemyHit) {
+            hitEnemy = enemyHit.item;
+            hitDistance = enemyHit.t * weapon.maxRange;
         }
 
         // Scale beam to hit distance
@@ -464,12 +621,17 @@ export class Weapons {
 
         // Update impact point
         const impact = this.activeBeam.userData.impact;
-        if (hitEnemy) {
+        if (hitEnemy || hitAsteroid) {
             impact.visible = true;
             impact.position.copy(origin.add(forward.multiplyScalar(hitDistance)));
 
-            // Damage enemy
-            hitEnemy.takeDamage(weapon.damage * dt);
+            // Damage the target
+            const multiplier = this.heat.getDamageMultiplier('laser');
+            if (hitEnemy) {
+                hitEnemy.takeDamage(weapon.damage * multiplier * dt);
+            } else {
+                this.damageAsteroid(asteroids, hitAsteroid, weapon.damage * multiplier * dt);
+            }
 
             // Pulse effect
             const pulse = 1 + Math.sin(performance.now() * 0.02) * 0.3;
@@ -484,56 +646,160 @@ export class Weapons {
     }
 
     /**
-     * Update harpoons
+     * Update harpoons - heads in flight, then the tethers of those that struck
      */
-    updateHarpoons(dt, now, enemies) {
+    updateHarpoons(dt, asteroids) {
         for (let i = this.harpoons.length - 1; i >= 0; i--) {
             const harpoon = this.harpoons[i];
             const data = harpoon.userData;
 
-            // Check lifetime
-            if (now - data.created > data.lifetime) {
-                this.scene.remove(harpoon);
-                this.scene.remove(data.tether);
-                this.harpoons.splice(i, 1);
+            // Check lifetime (restarted as the tether duration on a strike)
+            data.remaining -= dt * 1000;
+            if (data.remaining <= 0) {
+                this.removeHarpoon(i);
                 continue;
             }
 
-            if (!data.attached) {
+            if (!data.tether) {
                 // Move harpoon
-                harpoon.position.add(data.velocity.clone().multiplyScalar(dt));
-
-                // Check enemy collisions
-                for (const enemy of enemies) {
-                    if (enemy.mesh && harpoon.position.distanceTo(enemy.mesh.position) < enemy.hitRadius) {
-                        data.attached = true;
-                        data.attachedTo = enemy;
-                        enemy.takeDamage(data.damage);
-                        break;
+                const start = this.sweepStart.copy(harpoon.position);
+                harpoon.position.addScaledVector(data.velocity, dt);
+
+                // Out of rope
+                if (harpoon.position.distanceTo(this.ship.position) > TETHER_STATS.maxLength) {
+                    this.removeHarpoon(i);
+                    continue;
+                }
+
+                this.strikeHarpoon(harpoon, start, asteroids);
+            } else if (data.target) {
+                // Tethered enemy - the rope goes with it when it dies
+                if (!data.target.isAlive()) {
+                    this.removeHarpoon(i);
+                    continue;
+                }
+
+                data.tether.update(dt, this.reeling);
+                harpoon.position.copy(data.target.position);
+
+                // Reeled into melee range - finishing blow
+                if (this.reeling && data.tether.getGap() <= TETHER_STATS.finisherRange) {
+                    data.target.takeDamage(TETHER_STATS.finisherDamage);
+                    this.createImpactEffect(harpoon.position.clone(), 'harpoon');
+
+                    if (this.onFinisher) {
+                        this.onFinisher(harpoon.position.clone());
                     }
+
+                    this.removeHarpoon(i);
+                    continue;
+                }
+            } else {
+                // Anchored asteroid - the rope goes with it when it breaks
+                if (!asteroids || !asteroids.asteroids.includes(data.rock)) {
+                    this.removeHarpoon(i);
+                    continue;
                 }
-            } else if (data.attachedTo && data.attachedTo.mesh) {
-                // Follow attached enemy
-                harpoon.position.copy(data.attachedTo.mesh.position);
 
-                // Pull enemy towards ship
-                const pullDirection = this.ship.position.clone().sub(data.attachedTo.mesh.position).normalize();
-                data.attachedTo.mesh.position.add(pullDirection.multiplyScalar(100 * dt));
+                data.tether.update(dt, this.reeling);
+                harpoon.position.copy(data.rock.position).add(data.offset);
             }
 
-            // Update tether line
+            // Update tether line (from the harpoon hardpoint), brighter when taut
+            const anchor = this.getMuzzle('harpoon');
             const positions = [
-                this.ship.position.x, this.ship.position.y, this.ship.position.z,
+                anchor.x, anchor.y, anchor.z,
                 harpoon.position.x, harpoon.position.y, harpoon.position.z
             ];
 
-            data.tether.geometry.setAttribute(
+            data.line.geometry.setAttribute(
                 'position',
                 new THREE.Float32BufferAttribute(positions, 3)
             );
+            data.line.material.opacity = data.tether && data.tether.taut ? 1 : 0.5;
         }
     }
 
+    /**
+     * Tether a flying harpoon to the first enemy or asteroid it touched
+     * on its way from start
+     */
+    strikeHarpoon(harpoon, start, asteroids) {
+        const data = harpoon.userData;
+
+        const enemyHit = this.spatialHash.sweep(start, harpoon.position, data.radius, 'enemies');
+        const asteroidHit = asteroids &&
+            this.spatialHash.sweep(start, harpoon.position, data.radius, 'asteroids', rock => rock.parent);
+        if (!enemyHit && !asteroidHit) return;
+
+        if (enemyHit && (!asteroidHit || enemyHit.t <= asteroidHit.t)) {
+            const enemy = enemyHit.item;
+            harpoon.position.copy(enemyHit.point);
+
+            data.target = enemy;
+            data.tether = new Tether(this.ship, {
+                position: enemy.position,
+                velocity: enemy.velocity,
+                mass: enemy.mass,
+                radius: enemy.hitRadius
+            });
+
+            enemy.takeDamage(data.damage);
+            enemy.setTethered(true);
+        } else {
+            const rock = asteroidHit.item;
+            harpoon.position.copy(asteroidHit.point);
+
+            // A rock the harpoon breaks can't anchor it - the harpoon
+            // expires on the next update
+            if (this.damageAsteroid(asteroids, rock, data.damage)) {
+                data.remaining = 0;
+                return;
+            }
+
+            data.rock = rock;
+            data.offset = harpoon.position.clone().sub(rock.position);
+            data.tether = new Tether(this.ship, {
+                position: rock.position,
+                velocity: rock.userData.velocity,
+                mass: Infinity, // Anchors don't budge
+                radius: rock.userData.boundingRadius
+            });
+        }
+
+        // The tether holds for the harpoon's tether duration
+        data.remaining = this.weapons.harpoon.tetherDuration;
+    }
+
+    /**
+     * Damage an asteroid. Returns true if it broke.
+     */
+    damageAsteroid(asteroids, asteroid, damage) {
+        if (!asteroids.damageAsteroid(asteroid, damage)) return false;
+
+        if (this.onAsteroidDestroyed) {
+            this.onAsteroidDestroyed(asteroid);
+        }
+
+        return true;
+    }
+
+    /**
+     * Remove a harpoon and its tether, freeing any tethered enemy
+     */
+    removeHarpoon(index) {
+        const harpoon = this.harpoons[index];
+        const data = harpoon.userData;
+
+        if (data.target) {
+            data.target.setTethered(false);
+        }
+
+        this.scene.remove(harpoon);
+        this.scene.remove(data.line);
+        this.harpoons.splice(index, 1);
+    }
+
     /**
      * Create impact effect
      */
@@ -571,16 +837,42 @@ export class Weapons {
     }
 
     /**
-     * Switch weapon
+     * Put a weapon in a slot. Returns false if the slot can't hold it.
      */
-    selectWeapon(weaponName) {
-        if (this.weapons[weaponName]) {
+    selectWeapon(weaponName, slot = 'primary') {
+        if (!WEAPON_SLOTS[slot] || !WEAPON_SLOTS[slot].includes(weaponName)) return false;
+
+        if (slot === 'primary') {
             // Stop laser if switching away
-            if (this.currentWeapon === 'laser') {
-                this.toggleLaser(false);
+            if (this.currentWeapon === 'laser' && weaponName !== 'laser') {
+                this.toggleLaser(false, 'switch');
             }
             this.currentWeapon = weaponName;
+        } else {
+            this.secondaryWeapon = weaponName;
         }
+
+        return true;
+    }
+
+    /**
+     * Select the next (1) or previous (-1) primary weapon
+     */
+    cycleWeapon(direction = 1) {
+        const names = WEAPON_SLOTS.primary;
+        const index = names.indexOf(this.currentWeapon);
+        this.selectWeapon(names[(index + direction + names.length) % names.length]);
+        return this.currentWeapon;
+    }
+
+    /**
+     * Weapon in each slot, for the HUD
+     */
+    getSlots() {
+        return {
+            primary: this.currentWeapon,
+            secondary: this.secondaryWeapon
+        };
     }
 
     /**
@@ -591,7 +883,14 @@ export class Weapons {
         if (!weapon || weapon.cooldown === 0) return 1;
 
         const elapsed = performance.now() - weapon.lastFired;
-        return Math.min(1, elapsed / weapon.cooldown);
+        return Math.min(1, elapsed / this.getCooldown(weapon));
+    }
+
+    /**
+     * Effective cooldown, including damage to the weapon hardpoints
+     */
+    getCooldown(weapon) {
+        return weapon.cooldown * this.ship.damage.getCooldownMultiplier();
     }
 
     /**
@@ -602,12 +901,13 @@ export class Weapons {
         this.projectiles = [];
 
         this.destroyBeam();
+        this.weapons.laser.active = false;
+        this.heat.reset();
 
-        this.harpoons.forEach(h => {
-            this.scene.remove(h);
-            this.scene.remove(h.userData.tether);
-        });
-        this.harpoons = [];
+        for (let i = this.harpoons.length - 1; i >= 0; i--) {
+            this.removeHarpoon(i);
+        }
+        this.reeling = false;
     }
 }
 
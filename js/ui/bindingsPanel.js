@@ -0,0 +1,166 @@
+/**
+ * AETHELGARD: EVENT HORIZON
+ * Bindings Panel Module
+ *
+ * Ship Systems section for remapping gestures to ship actions.
+ * Conflicting bindings are highlighted and are not saved until
+ * they are resolved.
+ */
+
+import {
+    GestureBindings,
+    BINDABLE_ACTIONS,
+    HAND_POSES,
+    COMBO_POSES,
+    HAND_ROLES
+} from '../input/gestureBindings.js';
+
+export class BindingsPanel {
+    constructor(handTracker) {
+        this.handTracker = handTracker;
+
+        // DOM Elements
+        this.elements = {
+            list: document.getElementById('bindings-list'),
+            status: document.getElementById('bindings-status'),
+            handednessBtn: document.getElementById('handedness-btn'),
+            resetBtn: document.getElementById('reset-bindings-btn')
+        };
+
+        this.selects = {};
+
+        this.init();
+    }
+
+    init() {
+        this.elements.handednessBtn.addEventListener('click', () => this.toggleHandedness());
+        this.elements.resetBtn.addEventListener('click', () => this.reset());
+
+        this.elements.list.addEventListener('change', (e) => {
+            if (e.target.dataset.action) {
+                this.onBindingChange(e.target.dataset.action, e.target.value);
+            }
+        });
+
+        this.render();
+    }
+
+    get bindings() {
+        return this.handTracker.bindings;
+    }
+
+    /**
+     * Build one row per bindable action
+     */
+    render() {
+        this.elements.list.innerHTML = '';
+        this.selects = {};
+
+        for (const action of BINDABLE_ACTIONS) {
+            const row = document.createElement('label');
+            row.className = 'binding-row';
+
+            const name = document.createElement('span');
+            name.textContent = action.name;
+
+            const select = document.createElement('select');
+            select.dataset.action = action.id;
+            this.populateOptions(select);
+
+            row.append(name, select);
+            this.elements.list.appendChild(row);
+            this.selects[action.id] = select;
+        }
+
+        this.refresh();
+    }
+
+    /**
+     * Fill a select with every available trigger
+     */
+    populateOptions(select) {
+        const addOption = (value, text) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            select.appendChild(option);
+        };
+
+        addOption('', '— UNBOUND —');
+
+        for (const role of [HAND_ROLES.PRIMARY, HAND_ROLES.SECONDARY]) {
+            const hand = this.bindings.resolveHand(role).toUpperCase();
+            for (const [pose, info] of Object.entries(HAND_POSES)) {
+                addOption(`${role}:${pose}`, `${info.icon} ${hand} ${info.name}`);
+            }
+        }
+
+        for (const [pose, info] of Object.entries(COMBO_POSES)) {
+            addOption(`${HAND_ROLES.BOTH}:${pose}`, `${info.icon} ${info.name}`);
+        }
+    }
+
+    /**
+     * Sync selects, conflict highlights and status with the bindings
+     */
+    refresh() {
+        const conflicts = this.bindings.getConflicts();
+        const conflicted = new Set(conflicts.flatMap(conflict => conflict.actions));
+
+        for (const [action, select] of Object.entries(this.selects)) {
+            const trigger = this.bindings.getBinding(action);
+            select.value = trigger ? `${trigger.hand}:${trigger.pose}` : '';
+            select.parentElement.classList.toggle('conflict', conflicted.has(action));
+        }
+
+        this.elements.handednessBtn.textContent = this.bindings.leftHanded
+            ? 'HANDEDNESS: LEFT'
+            : 'HANDEDNESS: RIGHT';
+
+        this.elements.status.textContent = conflicts.length > 0
+            ? 'CONFLICT: ONE GESTURE BOUND TO SEVERAL ACTIONS - NOT SAVED'
+            : '';
+        this.elements.status.classList.toggle('warning', conflicts.length > 0);
+    }
+
+    /**
+     * Apply a select change
+     */
+    onBindingChange(action, value) {
+        const [hand, pose] = value.split(':');
+        this.bindings.setBinding(action, value ? { hand, pose } : null);
+        this.commit();
+    }
+
+    /**
+     * Swap primary and secondary hands
+     */
+    toggleHandedness() {
+        this.bindings.leftHanded = !this.bindings.leftHanded;
+        this.commit();
+        this.render();
+    }
+
+    /**
+     * Restore default bindings
+     */
+    reset() {
+        this.bindings.reset();
+        this.commit();
+    }
+
+    /**
+     * Push bindings to the tracker and save them if conflict-free
+     */
+    commit() {
+        this.handTracker.setBindings(this.bindings);
+
+        if (this.bindings.getConflicts().length === 0) {
+            GestureBindings.save(this.bindings);
+        }
+
+        this.refresh();
+    }
+}
+
+export default BindingsPanel;
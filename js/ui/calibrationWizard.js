@@ -0,0 +1,198 @@
+/**
+ * AETHELGARD: EVENT HORIZON
+ * Calibration Wizard Module
+ *
+ * Walks the player through each reference pose, samples their
+ * hand landmarks and saves a personal calibration profile.
+ */
+
+import { GestureCalibration, CALIBRATION_POSES } from '../input/calibration.js';
+import { HAND_ROLES } from '../input/gestureBindings.js';
+
+export class CalibrationWizard {
+    constructor(handTracker) {
+        this.handTracker = handTracker;
+        this.calibration = new GestureCalibration();
+
+        // DOM Elements
+        this.elements = {
+            overlay: document.getElementById('calibration-overlay'),
+            step: document.getElementById('calibration-step'),
+            icon: document.getElementById('calibration-icon'),
+            title: document.getElementById('calibration-title'),
+            instruction: document.getElementById('calibration-instruction'),
+            progress: document.getElementById('calibration-progress'),
+            status: document.getElementById('calibration-status'),
+            summary: document.getElementById('calibration-summary'),
+            cancelBtn: document.getElementById('calibration-cancel'),
+            doneBtn: document.getElementById('calibration-done')
+        };
+
+        // Timing (ms)
+        this.readyTime = 1500;  // Time to get into the pose
+        this.sampleTime = 2000; // Time spent sampling the pose
+        this.minSamples = 15;
+
+        // State
+        this.stepIndex = 0;
+        this.phase = 'idle'; // idle, ready, sampling, complete
+        this.phaseStart = 0;
+        this.profile = null;
+        this.isActive = false;
+
+        // Callbacks
+        this.onComplete = null;
+        this.onCancel = null;
+
+        this.init();
+    }
+
+    init() {
+        this.elements.cancelBtn.addEventListener('click', () => this.cancel());
+        this.elements.doneBtn.addEventListener('click', () => this.finish());
+    }
+
+    /**
+     * Open the wizard at the first pose
+     */
+    open() {
+        this.calibration.reset();
+        this.profile = null;
+        this.isActive = true;
+
+        this.elements.summary.classList.add('hidden');
+        this.elements.doneBtn.classList.add('hidden');
+        this.elements.overlay.classList.remove('hidden');
+
+        this.showStep(0);
+    }
+
+    /**
+     * Close the wizard
+     */
+    close() {
+        this.isActive = false;
+        this.phase = 'idle';
+        this.elements.overlay.classList.add('hidden');
+    }
+
+    /**
+     * Show a pose prompt
+     */
+    showStep(index) {
+        const pose = CALIBRATION_POSES[index];
+
+        this.stepIndex = index;
+        this.phase = 'ready';
+        this.phaseStart = this.handTracker.lastFrameTime;
+
+        this.elements.step.textContent = `STEP ${index + 1} / ${CALIBRATION_POSES.length}`;
+        this.elements.icon.textContent = pose.icon;
+        this.elements.title.textContent = pose.title;
+        this.elements.instruction.textContent = pose.instruction;
+        this.elements.progress.style.width = '0%';
+        this.elements.status.textContent = 'GET READY...';
+    }
+
+    /**
+     * Advance the wizard with a new hand tracking frame
+     */
+    onHandUpdate(data) {
+        if (!this.isActive) return;
+
+        const now = this.handTracker.lastFrameTime;
+        const elapsed = now - this.phaseStart;
+        const pose = CALIBRATION_POSES[this.stepIndex];
+
+        if (this.phase === 'ready') {
+            if (elapsed >= this.readyTime) {
+                this.phase = 'sampling';
+                this.phaseStart = now;
+            }
+            return;
+        }
+
+        if (this.phase !== 'sampling') return;
+
+        const accepted = this.calibration.addSample(
+            pose.id,
+            this.handTracker.getHand(HAND_ROLES.PRIMARY),
+            this.handTracker.getHand(HAND_ROLES.SECONDARY),
+            this.handTracker.getHandDistance()
+        );
+
+        const count = this.calibration.getSampleCount(pose.id);
+        const progress = Math.min(elapsed / this.sampleTime, count / this.minSamples, 1);
+        this.elements.progress.style.width = `${progress * 100}%`;
+
+        if (!accepted) {
+            this.elements.status.textContent = pose.hands === 'both'
+                ? 'SHOW BOTH HANDS'
+                : 'SHOW YOUR AIMING HAND';
+            return;
+        }
+
+        this.elements.status.textContent = 'HOLD STEADY...';
+
+        if (elapsed >= this.sampleTime && count >= this.minSamples) {
+            if (this.stepIndex < CALIBRATION_POSES.length - 1) {
+                this.showStep(this.stepIndex + 1);
+            } else {
+                this.complete();
+            }
+        }
+    }
+
+    /**
+     * Compute, apply and save the profile
+     */
+    complete() {
+        this.phase = 'complete';
+        this.profile = this.calibration.computeProfile();
+
+        this.handTracker.applyCalibration(this.profile);
+        GestureCalibration.save(this.profile);
+
+        this.elements.step.textContent = 'CALIBRATION COMPLETE';
+        this.elements.icon.textContent = '✅';
+        this.elements.title.textContent = 'NEURAL LINK TUNED';
+        this.elements.instruction.textContent = 'Your gesture profile has been saved.';
+        this.elements.status.textContent = '';
+        this.elements.progress.style.width = '100%';
+
+        this.elements.summary.innerHTML = `
+            <div>PINCH <span>${this.profile.pinchThreshold.toFixed(3)}</span></div>
+            <div>FIST <span>${this.profile.fistThreshold.toFixed(3)}</span></div>
+            <div>OPEN PALM <span>${this.profile.openPalmThreshold.toFixed(3)}</span></div>
+            <div>BARREL ROLL <span>${this.profile.barrelRollDistance.toFixed(3)}</span></div>
+            <div>BOOST <span>${this.profile.boostDistance.toFixed(3)}</span></div>
+            <div>SHIELD <span>${this.profile.shieldDistance.toFixed(3)}</span></div>
+        `;
+        this.elements.summary.classList.remove('hidden');
+        this.elements.doneBtn.classList.remove('hidden');
+
+        console.log('🎯 Gesture calibration saved', this.profile);
+    }
+
+    /**
+     * Close after a completed calibration
+     */
+    finish() {
+        this.close();
+        if (this.onComplete) {
+            this.onComplete(this.profile);
+        }
+    }
+
+    /**
+     * Abort without changing thresholds
+     */
+    cancel() {
+        this.close();
+        if (this.onCancel) {
+            this.onCancel();
+        }
+    }
+}
+
+export default CalibrationWizard;
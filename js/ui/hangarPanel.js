@@ -0,0 +1,155 @@
+/**
+ * AETHELGARD: EVENT HORIZON
+ * Hangar Panel Module
+ *
+ * Between-run screen where credits buy ship and weapon upgrades.
+ * Purchases are saved immediately and take effect on the next launch.
+ */
+
+import { Loadout, UPGRADES, MAX_UPGRADE_LEVEL } from '../ship/loadout.js';
+
+// Section headings, in display order
+const GROUPS = {
+    ship: 'HULL',
+    railgun: 'SHATTER-RAILGUN',
+    laser: 'SOLAR FLARE BEAM',
+    harpoon: 'SINGULARITY HARPOON'
+};
+
+export class HangarPanel {
+    constructor(loadout) {
+        this.loadout = loadout;
+
+        // DOM Elements
+        this.elements = {
+            screen: document.getElementById('hangar-screen'),
+            credits: document.getElementById('hangar-credits'),
+            list: document.getElementById('hangar-upgrades')
+        };
+
+        this.rows = {};
+
+        // Callbacks
+        this.onPurchase = null;
+
+        this.init();
+    }
+
+    init() {
+        this.elements.list.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-upgrade]');
+            if (button) {
+                this.purchase(button.dataset.upgrade);
+            }
+        });
+
+        this.render();
+    }
+
+    open() {
+        this.refresh();
+        this.elements.screen.classList.remove('hidden');
+    }
+
+    close() {
+        this.elements.screen.classList.add('hidden');
+    }
+
+    /**
+     * Build one section per group and one row per upgrade
+     */
+    render() {
+        this.elements.list.innerHTML = '';
+        this.rows = {};
+
+        for (const [group, title] of Object.entries(GROUPS)) {
+            const section = document.createElement('div');
+            section.className = 'settings-section';
+
+            const heading = document.createElement('h3');
+            heading.textContent = title;
+            section.appendChild(heading);
+
+            for (const upgrade of UPGRADES.filter(u => u.group === group)) {
+                const row = document.createElement('div');
+                row.className = 'upgrade-row';
+
+                const name = document.createElement('span');
+                name.className = 'upgrade-name';
+                name.textContent = upgrade.name;
+
+                const level = document.createElement('span');
+                level.className = 'upgrade-level';
+
+                const effect = document.createElement('span');
+                effect.className = 'upgrade-effect';
+
+                const button = document.createElement('button');
+                button.className = 'cyber-button';
+                button.dataset.upgrade = upgrade.id;
+
+                row.append(name, level, effect, button);
+                section.appendChild(row);
+                this.rows[upgrade.id] = { level, effect, button };
+            }
+
+            this.elements.list.appendChild(section);
+        }
+
+        this.refresh();
+    }
+
+    /**
+     * Sync credits, levels and prices with the loadout
+     */
+    refresh() {
+        this.elements.credits.textContent = this.loadout.credits.toLocaleString();
+
+        for (const upgrade of UPGRADES) {
+            const row = this.rows[upgrade.id];
+            const level = this.loadout.getLevel(upgrade.id);
+            const cost = this.loadout.getCost(upgrade.id);
+
+            row.level.textContent = '■'.repeat(level) + '□'.repeat(MAX_UPGRADE_LEVEL - level);
+            row.effect.textContent = this.describe(upgrade, level);
+
+            row.button.textContent = cost === null ? 'MAXED' : `${cost.toLocaleString()} CR`;
+            row.button.disabled = !this.loadout.canBuy(upgrade.id);
+        }
+    }
+
+    /**
+     * Current bonus, e.g. "+30% DAMAGE"
+     */
+    describe(upgrade, level) {
+        const [stat, step] = Object.entries(upgrade.stats)[0];
+        const percent = Math.round(step * level * 100);
+        const labels = {
+            maxHull: 'HULL',
+            maxShield: 'SHIELD',
+            maxEnergy: 'ENERGY',
+            maxSpeed: 'SPEED',
+            damage: 'DAMAGE',
+            cooldown: 'COOLDOWN',
+            energyCost: 'ENERGY COST'
+        };
+
+        return `${percent >= 0 ? '+' : ''}${percent}% ${labels[stat]}`;
+    }
+
+    /**
+     * Buy the next level of an upgrade and save
+     */
+    purchase(id) {
+        if (!this.loadout.buy(id)) return;
+
+        Loadout.save(this.loadout);
+        this.refresh();
+
+        if (this.onPurchase) {
+            this.onPurchase(id);
+        }
+    }
+}
+
+export default HangarPanel;
@@ -9,13 +9,20 @@ export class HUD {
     constructor() {
         // DOM Elements
         this.elements = {
-            // Status bars
+            // Ship status
+            shipName: document.getElementById('ship-name'),
             hullBar: document.getElementById('hull-bar'),
             hullValue: document.getElementById('hull-value'),
             shieldBar: document.getElementById('shield-bar'),
             shieldValue: document.getElementById('shield-value'),
+            shieldBarContainer: document.getElementById('shield-bar').parentElement,
+            shieldQuadrants: document.getElementById('shield-quadrants'),
+            subsystems: document.getElementById('subsystem-panel'),
+            power: document.getElementById('power-panel'),
+            powerPreset: document.getElementById('power-preset'),
             energyBar: document.getElementById('energy-bar'),
             energyValue: document.getElementById('energy-value'),
+            energyBarContainer: document.getElementById('energy-bar').parentElement,
 
             // Score
             scoreValue: document.getElementById('score-value'),
@@ -43,6 +50,11 @@ export class HUD {
                 document.getElementById('gadget-3')
             ],
 
+            // Signature ability
+            ability: document.getElementById('ability-slot'),
+            abilityIcon: document.getElementById('ability-icon'),
+            abilityName: document.getElementById('ability-name'),
+
             // Crosshair
             crosshair: document.getElementById('crosshair'),
 
@@ -90,11 +102,30 @@ export class HUD {
         const shieldPercent = (stats.shield / stats.maxShield) * 100;
         this.elements.shieldBar.style.width = `${shieldPercent}%`;
         this.elements.shieldValue.textContent = `${Math.round(shieldPercent)}%`;
+        this.elements.shieldBarContainer.classList.toggle('active', !!stats.shieldActive);
+        this.updateShieldQuadrants(stats.shieldQuadrants);
 
         // Energy
         const energyPercent = (stats.energy / stats.maxEnergy) * 100;
         this.elements.energyBar.style.width = `${energyPercent}%`;
         this.elements.energyValue.textContent = `${Math.round(energyPercent)}%`;
+        this.elements.energyBarContainer.classList.toggle('low', energyPercent < 25);
+    }
+
+    /**
+     * Pulse the energy bar while a continuous weapon drains it
+     */
+    setEnergyDraining(draining) {
+        this.elements.energyBarContainer.classList.toggle('draining', draining);
+    }
+
+    /**
+     * Flash the energy bar when a weapon runs dry
+     */
+    flashEnergy() {
+        const el = this.elements.energyBarContainer;
+        el.classList.add('empty');
+        setTimeout(() => el.classList.remove('empty'), 600);
     }
 
     /**
@@ -254,14 +285,22 @@ export class HUD {
     }
 
     /**
-     * Update weapon display
+     * Update weapon display - slots is { primary, secondary } weapon ids
      */
-    updateWeapons(currentWeapon, cooldowns) {
+    updateWeapons(slots, cooldowns, heat = {}) {
         const weaponNames = ['railgun', 'laser', 'harpoon'];
 
         this.elements.weapons.forEach((el, i) => {
-            const isActive = weaponNames[i] === currentWeapon;
-            el.classList.toggle('active', isActive);
+            const isPrimary = weaponNames[i] === slots.primary;
+            const isSecondary = weaponNames[i] === slots.secondary;
+            el.classList.toggle('active', isPrimary);
+            el.classList.toggle('secondary', isSecondary);
+
+            // Slot tag on equipped weapons
+            const tagEl = el.querySelector('.weapon-slot-tag');
+            if (tagEl) {
+                tagEl.textContent = isPrimary ? 'PRI' : isSecondary ? 'SEC' : '';
+            }
 
             // Update cooldown overlay
             const cooldown = cooldowns[weaponNames[i]] || 1;
@@ -269,9 +308,124 @@ export class HUD {
             if (cooldownEl) {
                 cooldownEl.style.transform = `scaleX(${1 - cooldown})`;
             }
+
+            // Heat gauge, vent window while overheated
+            const level = heat[weaponNames[i]];
+            const heatEl = el.querySelector('.weapon-heat-fill');
+            if (level && heatEl) {
+                heatEl.style.width = `${level.heat * 100}%`;
+                el.classList.toggle('hot', level.heat > 0.75);
+                el.classList.toggle('overheated', level.locked);
+                el.classList.toggle('vent-open', level.ventOpen);
+                el.classList.toggle('vent-bonus', level.bonus);
+            }
+        });
+    }
+
+    /**
+     * Show directional shield quadrants (hidden when null)
+     */
+    updateShieldQuadrants(levels) {
+        const container = this.elements.shieldQuadrants;
+        container.classList.toggle('hidden', !levels);
+        if (!levels) return;
+
+        Array.from(container.children).forEach((el, i) => {
+            el.style.opacity = 0.15 + levels[i] * 0.85;
+            el.classList.toggle('depleted', levels[i] <= 0);
+        });
+    }
+
+    /**
+     * Update subsystem health (engines, weapons, sensors)
+     */
+    updateSubsystems(levels) {
+        Array.from(this.elements.subsystems.children).forEach((el, i) => {
+            const fill = el.querySelector('.subsystem-fill');
+            fill.style.width = `${levels[i] * 100}%`;
+
+            el.classList.toggle('damaged', levels[i] < 0.5);
+            el.classList.toggle('offline', levels[i] <= 0);
+        });
+    }
+
+    /**
+     * Update power distribution pips (engines, shields, weapons) and preset name
+     */
+    updatePower(levels, preset) {
+        this.elements.power.querySelectorAll('.power-system').forEach((el, i) => {
+            el.querySelectorAll('.power-pip').forEach((pip, j) => {
+                pip.classList.toggle('lit', j < levels[i]);
+            });
+            el.classList.toggle('boosted', levels[i] > 2);
+        });
+
+        this.elements.powerPreset.textContent = preset || 'CUSTOM';
+    }
+
+    /**
+     * Flash the power panel after rerouting
+     */
+    flashPower() {
+        const el = this.elements.power;
+        el.classList.add('flash');
+        setTimeout(() => el.classList.remove('flash'), 300);
+    }
+
+    /**
+     * Update gadget cooldown bars and active effects
+     */
+    updateGadgets(cooldowns, active) {
+        this.elements.gadgets.forEach((el, i) => {
+            el.classList.toggle('active', !!active[i]);
+            el.classList.toggle('cooling', cooldowns[i] < 1);
+
+            const cooldownEl = el.querySelector('.gadget-cooldown');
+            if (cooldownEl) {
+                cooldownEl.style.transform = `scaleX(${1 - cooldowns[i]})`;
+            }
         });
     }
 
+    /**
+     * Show the launched ship's name and signature ability
+     */
+    setShip(name, ability) {
+        this.elements.shipName.textContent = name;
+        this.elements.abilityIcon.textContent = ability ? ability.icon : '';
+        this.elements.abilityName.textContent = ability ? ability.name : '';
+    }
+
+    /**
+     * Update the signature ability slot
+     */
+    updateAbility(cooldown, active) {
+        const el = this.elements.ability;
+        el.classList.toggle('active', active);
+        el.classList.toggle('cooling', cooldown < 1);
+        el.querySelector('.gadget-cooldown').style.transform = `scaleX(${1 - cooldown})`;
+    }
+
+    /**
+     * Flash a gadget slot when it is triggered
+     */
+    flashGadget(index) {
+        const el = this.elements.gadgets[index];
+        if (!el) return;
+
+        el.classList.add('triggered');
+        setTimeout(() => el.classList.remove('triggered'), 500);
+    }
+
+    /**
+     * Flash the ability slot when it is triggered
+     */
+    flashAbility() {
+        const el = this.elements.ability;
+        el.classList.add('triggered');
+        setTimeout(() => el.classList.remove('triggered'), 500);
+    }
+
     /**
      * Update crosshair position
      */
@@ -283,13 +437,13 @@ export class HUD {
     /**
      * Update radar with enemy positions
      */
-    updateRadar(playerPosition, playerRotation, enemies, asteroids) {
+    updateRadar(playerPosition, playerRotation, enemies, asteroids, range = 2000) {
         // Clear old blips
         this.radarBlips.forEach(blip => blip.remove());
         this.radarBlips = [];
 
         const radarRadius = 50; // Half of radar size
-        const radarRange = 2000; // Detection range
+        const radarRange = range; // Detection range (shrinks with sensor damage)
 
         // Add enemy blips
         enemies.forEach(enemy => {
@@ -458,10 +612,11 @@ export class HUD {
     /**
      * Show game over stats
      */
-    showGameOver(score, wave, kills) {
+    showGameOver(score, wave, kills, credits = 0) {
         document.getElementById('final-score').textContent = this.formatNumber(score);
         document.getElementById('final-waves').textContent = wave;
         document.getElementById('final-kills').textContent = kills;
+        document.getElementById('final-credits').textContent = this.formatNumber(credits);
         document.getElementById('game-over').classList.remove('hidden');
     }
 
@@ -0,0 +1,106 @@
+/**
+ * AETHELGARD: EVENT HORIZON
+ * Ship Select Module
+ *
+ * Main menu picker for the ship class to launch in. The choice is
+ * saved with the loadout and fitted at the next launch.
+ */
+
+import { Loadout } from '../ship/loadout.js';
+import { SHIP_CLASSES, getShipClass } from '../ship/shipClasses.js';
+import { SHIP_ABILITIES } from '../ship/abilities.js';
+
+// Stats compared on the select screen
+const STAT_LABELS = {
+    maxSpeed: 'SPEED',
+    maxHull: 'HULL',
+    maxShield: 'SHIELD',
+    maxEnergy: 'ENERGY'
+};
+
+export class ShipSelect {
+    constructor(loadout) {
+        this.loadout = loadout;
+
+        // DOM Elements
+        this.elements = {
+            name: document.getElementById('ship-select-name'),
+            role: document.getElementById('ship-select-role'),
+            description: document.getElementById('ship-select-description'),
+            stats: document.getElementById('ship-select-stats'),
+            ability: document.getElementById('ship-select-ability'),
+            prev: document.getElementById('ship-prev-btn'),
+            next: document.getElementById('ship-next-btn')
+        };
+
+        // Best value of each stat across the fleet (full bar)
+        this.statMax = {};
+        for (const stat of Object.keys(STAT_LABELS)) {
+            this.statMax[stat] = Math.max(...SHIP_CLASSES.map(definition => definition.stats[stat]));
+        }
+
+        // Callbacks
+        this.onChange = null;
+
+        this.init();
+    }
+
+    init() {
+        this.elements.prev.addEventListener('click', () => this.cycle(-1));
+        this.elements.next.addEventListener('click', () => this.cycle(1));
+
+        this.render();
+    }
+
+    /**
+     * Step to the previous / next ship class and save
+     */
+    cycle(direction) {
+        const index = SHIP_CLASSES.findIndex(definition => definition.id === this.loadout.shipClass);
+        const next = SHIP_CLASSES[(index + direction + SHIP_CLASSES.length) % SHIP_CLASSES.length];
+
+        this.loadout.shipClass = next.id;
+        Loadout.save(this.loadout);
+        this.render();
+
+        if (this.onChange) {
+            this.onChange(next.id);
+        }
+    }
+
+    /**
+     * Show the selected ship's name, stats and ability
+     */
+    render() {
+        const definition = getShipClass(this.loadout.shipClass);
+        const ability = SHIP_ABILITIES[definition.ability];
+
+        this.elements.name.textContent = definition.name;
+        this.elements.role.textContent = definition.role;
+        this.elements.description.textContent = definition.description;
+        this.elements.ability.textContent = ability ? `${ability.icon} ${ability.name}` : '';
+
+        this.elements.stats.innerHTML = '';
+        for (const [stat, label] of Object.entries(STAT_LABELS)) {
+            const row = document.createElement('div');
+            row.className = 'ship-stat';
+
+            const name = document.createElement('span');
+            name.className = 'ship-stat-label';
+            name.textContent = label;
+
+            const bar = document.createElement('div');
+            bar.className = 'ship-stat-bar';
+
+            const fill = document.createElement('div');
+            fill.className = 'ship-stat-fill';
+            fill.style.width = `${(definition.stats[stat] / this.statMax[stat]) * 100}%`;
+
+            bar.appendChild(fill);
+            row.append(name, bar);
+            this.elements.stats.appendChild(row);
+        }
+    }
+}
+
+export default ShipSelect;